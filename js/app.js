@@ -10,28 +10,47 @@ import {
   getRestrictedInkIndices
 } from './ui/controls.js';
 
+// Shared state (read by the report builder)
+import { State, bus, setOption, setOriginalPalette, setRestrictedPalette, setRegions } from './state.js';
+
 // Color utils
 import { hexToRgb, rgbToHex, rgbToHsl, hslToRgb } from './color/space.js';
 
 // Palette extraction / suggestions
-import * as Palette  from './color/palette.js';   // autoPaletteFromCanvasHybrid(canvas, k)
+import * as Palette  from './color/palette.js';   // extractPaletteStats(canvas, k, opts), QUANTIZERS, MAX_K
 import * as Suggest  from './color/suggest.js';   // suggestByHueLuma(srcCanvas, paletteHex, allowedIdx), smartMixSuggest(targetHex, paletteHex, allowedIdx)
 
+// Harmonies from one ink
+import * as Harmony  from './color/harmony.js';   // generateHarmony(hex, type, opts), HARMONIES
+
+// Ink libraries (PMS, TPX, shop mixing books)
+import * as Libraries from './color/libraries.js'; // registerLibrary(), nearestInk(hex), parseLibrary(text, name)
+
+// Color-vision-deficiency simulation
+import * as CVD      from './color/cvd.js';       // simulateCvd(imageData, type), findConfusableInks(inks, opts)
+
 // Patterns (optional)
-import * as Patterns from './color/patterns.js';
+import * as Patterns from './color/patterns.js'; // PATTERNS, makePattern(type, params)
 
 // Mapping & sharpening
 import * as Mapper   from './mapping/mapper.js';  // mapToPalette(imageData, palette, opts)
 import * as Sharpen  from './mapping/sharpen.js'; // unsharpMask(imageData, amount)
+import * as Tiled    from './mapping/tiled.js';   // mapTiled(source, palette, opts, { onProgress, signal })
+import * as Despeckle from './mapping/despeckle.js'; // despeckle(imageData, opts), minAreaForMm(mm, widthPx, widthMm)
 
 // Exports
-import * as PNG      from './export/png.js';      // exportPNG(imageData, scale) -> Blob
+import * as PNG      from './export/png.js';      // exportPNG(imageData, scale) -> Promise<Blob>
 import * as SVG      from './export/svg.js';      // exportSVG(imageData, paletteHex, maxColors) -> string
-import * as Report   from './export/report.js';   // buildPrinterReport(), (opt) loadPmsJson()
+import * as Report   from './export/report.js';   // buildPrinterReport(), nearestPms(hex)
+import * as Coverage from './export/coverage.js'; // inkCoverage(imageData, inks), inkVolumes(coverage, job)
+import * as Separations from './export/separations.js'; // inkIndexMap(imageData, inks), separationPlate(index, w, h, ink, opts)
+import * as Trap     from './export/trap.js';     // trapMasks(index, w, h, inks, opts), trapOverlay(imageData, masks)
+import * as Halftone from './export/halftone.js'; // halftone(imageData, inks, opts), DOT_SHAPES
 
 // IO & storage
 import * as Files    from './io/files.js';        // saveBlob(blob, name), saveText(text, name, mime)
 import * as Store    from './io/storage.js';      // list(), load(id), save(data), remove(id)
+import * as Swatches from './io/swatches.js';     // exportPalette(swatches, format) -> Blob, importPalette(file)
 
 // Canvas & image helpers (optional; we still implement local fallbacks)
 import * as C2D      from './utils/canvas.js';
@@ -40,6 +59,10 @@ import * as Img      from './utils/image.js';
 // Toasts (optional)
 import * as Toasts   from './ui/toasts.js';
 
+// Editor overlay + lasso regions (State.regions)
+import { initFullscreen } from './editor/fullscreen.js';
+import { enableLasso }    from './editor/lasso.js';
+
 // -----------------------------------------------------------------------------
 // DOM
 // -----------------------------------------------------------------------------
@@ -73,13 +96,45 @@ const els = {
 
   // Palette
   kColors:             $('#kColors'),
+  extractAlgo:         $('#extractAlgo'),
+  workSpace:           $('#workSpace'),
+  kMode:               $('#kMode'),
+  mergeDE:             $('#mergeDE'),
+  extractFrom:         $('#extractFrom'),
+  weighting:           $('#weighting'),
+  regionCount:         $('#regionCount'),
+  clearRegions:        $('#clearRegions'),
+  paletteFormat:       $('#paletteFormat'),
+  exportPaletteFile:   $('#exportPaletteFile'),
+  importPaletteFile:   $('#importPaletteFile'),
+  libName:             $('#libName'),
+  libTags:             $('#libTags'),
+  libSave:             $('#libSave'),
+  libSearch:           $('#libSearch'),
+  libraryList:         $('#libraryList'),
+  harmonyPanel:        $('#harmonyPanel'),
+  harmonyBase:         $('#harmonyBase'),
+  harmonyBaseHex:      $('#harmonyBaseHex'),
+  harmonyType:         $('#harmonyType'),
+  harmonySpace:        $('#harmonySpace'),
+  harmonySnap:         $('#harmonySnap'),
+  harmonyOut:          $('#harmonyOut'),
+  harmonyAdd:          $('#harmonyAdd'),
+  harmonyClose:        $('#harmonyClose'),
   autoExtract:         $('#autoExtract'),
+  cancelExtract:       $('#cancelExtract'),
+  extractProgress:     $('#extractProgress'),
+  extractStatus:       $('#extractStatus'),
 
   // Restricted Palette
   restrictedList:      $('#restrictedList'),
   restrictedSelectAll: $('#restrictedSelectAll'),
   restrictedSelectNone:$('#restrictedSelectNone'),
   allowWhite:          $('#allowWhite'),
+  inkLibrary:          $('#inkLibrary'),
+  addLibrary:          $('#addLibrary'),
+  removeLibrary:       $('#removeLibrary'),
+  snapLibrary:         $('#snapLibrary'),
 
   // Suggestions / Rules
   btnSuggestHueLuma:   $('#btnSuggestHueLuma'),
@@ -87,25 +142,72 @@ const els = {
   addRule:             $('#addRule'),
   btnRefreshOutput:    $('#btnRefreshOutput'),
   rulesTable:          $('#rulesTable'),
+  useHalftone:         $('#useHalftone'),
+  dotCell:             $('#dotCell'),
+  dotBg:               $('#dotBg'),
+  dotJitter:           $('#dotJitter'),
+  dotGain:             $('#dotGain'),
+  dotGainComp:         $('#dotGainComp'),
+  screenTable:         $('#screenTable'),
+  mixModel:            $('#mixModel'),
+  smartMixOut:         $('#smartMixOut'),
 
   // Mapping
   wChroma:             $('#wChroma'),
   wChromaOut:          $('#wChromaOut'),
   wLight:              $('#wLight'),
   wLightOut:           $('#wLightOut'),
+  deMetric:            $('#deMetric'),
   useDither:           $('#useDither'),
+  ditherMethod:        $('#ditherMethod'),
+  serpentine:          $('#serpentine'),
+  ditherStrength:      $('#ditherStrength'),
+  ditherStrengthOut:   $('#ditherStrengthOut'),
+  ditherSpace:         $('#ditherSpace'),
+  despeckle:           $('#despeckle'),
+  minIsland:           $('#minIsland'),
+  minIslandUnit:       $('#minIslandUnit'),
+  majorityFilter:      $('#majorityFilter'),
+  protectDither:       $('#protectDither'),
   bgMode:              $('#bgMode'),
+  useSubstrate:        $('#useSubstrate'),
+  substrateColor:      $('#substrateColor'),
+  knockout:            $('#knockout'),
+  regionFeather:       $('#regionFeather'),
+  unmatchedMode:       $('#unmatchedMode'),
+  tolAll:              $('#tolAll'),
+  highlightColor:      $('#highlightColor'),
+  cvdMode:             $('#cvdMode'),
+  cvdThreshold:        $('#cvdThreshold'),
+  cvdCheck:            $('#cvdCheck'),
+  cvdWarnings:         $('#cvdWarnings'),
   applyBtn:            $('#applyBtn'),
   bigRegen:            $('#bigRegen'),
 
   // Export
   exportScale:         $('#exportScale'),
   downloadBtn:         $('#downloadBtn'),
+  cancelMap:           $('#cancelMap'),
+  useTrap:             $('#useTrap'),
+  trapWidth:           $('#trapWidth'),
+  trapUnit:            $('#trapUnit'),
+  showTraps:           $('#showTraps'),
+  addTrapPair:         $('#addTrapPair'),
+  trapTable:           $('#trapTable'),
+  exportSeparations:   $('#exportSeparations'),
+  mapProgress:         $('#mapProgress'),
+  mapStatus:           $('#mapStatus'),
   vectorExport:        $('#vectorExport'),
   colorCodeMode:       $('#colorCodeMode'),
   mailtoLink:          $('#mailtoLink'),
   exportReport:        $('#exportReport'),
   codeList:            $('#codeList'),
+  printW:              $('#printW'),
+  printH:              $('#printH'),
+  meshCount:           $('#meshCount'),
+  deposit:             $('#deposit'),
+  runQty:              $('#runQty'),
+  coverageTable:       $('#coverageTable'),
 
   // Misc
   status:              $('#status'),
@@ -117,13 +219,18 @@ const els = {
   editorDone:          $('#editorDone'),
   editCanvas:          $('#editCanvas'),
   editOverlay:         $('#editOverlay'),
+  lassoChecks:         $('#lassoChecks'),
+  lassoSave:           $('#lassoSave'),
+  lassoClear:          $('#lassoClear'),
 };
 
 // -----------------------------------------------------------------------------
 // State
 // -----------------------------------------------------------------------------
 const DEFAULT_HEXES = ['#CE6D01', '#8B3400', '#F23300', '#0CB300', '#FFFFFF'];
-const DEFAULT_TOL   = 64;
+const DEFAULT_TOL   = 12;   // ΔE in the active metric
+const TOL_UNIT      = 'dE'; // saved tolerances without this are RGB-era values and reset
+const REMAP_DELAY   = 150;  // ms a weight slider rests before the preview re-maps
 
 const state = {
   // Colors used everywhere. Array of { r,g,b,tol }
@@ -133,10 +240,36 @@ const state = {
   // Image pipeline
   srcImage: null,     // we use canvases; keep a flag for "image loaded"
   mapped:   null,     // last ImageData result (for export)
+  // Inks + mapper options behind `mapped` ({ inks, opts, clean, sharpen }), for the full-res pass
+  mapSpec:    null,
+  // `mapped` redone on the original bitmap at full size, or null until an export needs it
+  mappedFull: null,
+  // In-flight full-resolution mapping (AbortController) or null
+  mapJob:     null,
+  // Pending live re-map (setTimeout id) or 0, and the one running (AbortController) or null
+  remapTimer: 0,
+  remapJob:   null,
+  // Ink coverage of `mapped`: { hexes, coverage:[0..1], unprinted } or null
+  coverage: null,
   // Rules (Suggestions & Rules table)
   rules: [],
+  // Halftone screens by ink HEX: { angle, lpi, shape } (missing: defaults by ink position)
+  screens: {},
+  // Trap pair overrides: [{ a:'#RRGGBB', b:'#RRGGBB', width:number|'' (''=default), spread:'auto'|'a'|'b'|'none' }]
+  trapPairs: [],
+  // Trap masks of `mapped` ({ index, masks, pixels }) or null when trapping is off
+  traps: null,
+  // Halftone preview of `mapped` and the settings it was screened with ({ src, key, img }) or null
+  halftone: null,
   // Projects list (from Store)
   projects: [],
+  // In-flight palette extraction (AbortController) or null
+  extractJob: null,
+  // Harmony generator: base HEX and the proposals on show ({hex, name?, dE?})
+  harmonyBase: null,
+  harmony: [],
+  // How the current palette was extracted: { algorithm, space, k } or null (hand-built)
+  paletteSource: null,
   // Persist key
   key: 'limited-palette-designer:v1',
 };
@@ -150,7 +283,10 @@ function init() {
   loadPrefs();
   ensureDefaultPalette();
   renderAll();
+  renderLibrary();
   wireEvents();
+  initEditor();
+  ensureLibraries();
   enableUIAccordingToImage(false);
   info('Ready');
 }
@@ -162,12 +298,43 @@ function renderAll() {
   renderRestrictedPaletteUI();
   renderCodeList();
   renderRulesTable();
+  renderScreenTable();
+  renderTrapTable();
+  renderCoverage();
   syncWeightsUI();
 }
 
 function renderRestrictedPaletteUI() {
   const hexes = state.palette.map(p => rgbToHex(p.r, p.g, p.b));
-  renderRestrictedFromPalette(els, hexes, state.restricted);
+  const locked = new Set(state.palette.flatMap((p, i) => p.locked ? [i] : []));
+  renderRestrictedFromPalette(els, hexes, state.restricted, locked, state.palette.map(p => p.tol));
+  renderLassoChecks(hexes);
+}
+
+// Ink checkboxes in the editor toolbar; lasso.js stores the checked values
+// (ink HEX) as the region's allowed inks
+function renderLassoChecks(hexes) {
+  if (!els.lassoChecks) return;
+  els.lassoChecks.innerHTML = '';
+  hexes.forEach((hx, i) => {
+    const label = document.createElement('label');
+    label.title = hx;
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.value = hx.toUpperCase();
+    box.checked = state.restricted.has(i);
+    const sw = document.createElement('span');
+    sw.className = 'sw';
+    sw.style.background = hx;
+    label.append(box, sw);
+    els.lassoChecks.append(label);
+  });
+}
+
+function renderRegionInfo() {
+  const n = State.regions.length;
+  if (els.regionCount) els.regionCount.textContent = n ? `${n} lasso region${n > 1 ? 's' : ''}.` : 'No lasso regions.';
+  if (els.clearRegions) els.clearRegions.disabled = !n;
 }
 
 function renderCodeList() {
@@ -178,11 +345,26 @@ function renderCodeList() {
   const act   = idx.map(i => hexes[i]);
 
   const out = [];
+  const src = state.paletteSource;
+  if (src) {
+    const algo = Palette?.QUANTIZERS?.find(q => q.id === src.algorithm);
+    const space = (algo?.spaces || ['rgb']).includes(src.space) ? src.space : 'rgb';
+    const auto = src.autoK ? `, auto ${src.autoK}` : '';
+    const from = (src.region ? ', lasso regions' : '') +
+      (src.weighting && src.weighting !== 'none' ? `, ${src.weighting} weighted` : '');
+    out.push(`// Palette: ${algo?.label || src.algorithm} (K=${src.k}${auto}, ${space === 'oklab' ? 'OKLab' : 'RGB'}${from})`);
+    out.push('');
+  }
   out.push('// Restricted Inks (active):');
   act.forEach((hx, i) => out.push(`Ink ${i+1}: ${formatColor(hx, mode)}`));
   out.push('');
   out.push('// Full Palette (with tolerance):');
-  state.palette.forEach((p, i) => out.push(`#${String(i).padStart(2,'0')} ${rgbToHex(p.r,p.g,p.b)}  tol=${p.tol}`));
+  state.palette.forEach((p, i) => {
+    const share = typeof p.share === 'number' ? `  share=${(p.share * 100).toFixed(1)}%` : '';
+    const lock  = p.locked ? '  locked' : '';
+    const name  = p.name ? `  ${p.name}` : '';
+    out.push(`#${String(i).padStart(2,'0')} ${rgbToHex(p.r,p.g,p.b)}  tol=${p.tol}${share}${lock}${name}`);
+  });
 
   els.codeList.textContent = out.join('\n');
 }
@@ -204,17 +386,20 @@ function renderRulesTable() {
     target.addEventListener('input', () => { rule.target = target.value; persistPrefs(); });
     tdTarget.append(target);
 
-    const tdPattern = td(); const pattern = input('text'); pattern.value = rule.pattern || '';
-    pattern.addEventListener('input', () => { rule.pattern = pattern.value; persistPrefs(); });
+    const tdPattern = td(); const pattern = document.createElement('select');
+    (Patterns?.PATTERNS || ['checker']).forEach(id => pattern.append(new Option(id, id)));
+    pattern.value = rule.pattern || 'checker';
+    pattern.addEventListener('change', () => { rule.pattern = pattern.value; persistPrefs(); });
     tdPattern.append(pattern);
 
     const tdInks = td(); const inks = input('text');
-    inks.placeholder = 'e.g. 0,1,3'; inks.value = (rule.inks || []).join(',');
+    inks.placeholder = 'e.g. #CE6D01,#0CB300'; inks.value = (rule.inks || []).join(',');
     inks.addEventListener('input', () => {
       rule.inks = (inks.value || '')
-        .split(',').map(s=>s.trim()).filter(Boolean).map(n=>n|0);
+        .split(',').map(s => hexToRgb(s.trim())).filter(Boolean).map(inkHex);
       persistPrefs();
     });
+    inks.addEventListener('change', () => { inks.value = rule.inks.join(','); });
     tdInks.append(inks);
 
     const tdDen = td(); const den = input('number');
@@ -222,6 +407,18 @@ function renderRulesTable() {
     den.addEventListener('input', () => { rule.density = den.value|0; persistPrefs(); });
     tdDen.append(den);
 
+    const tdPri = td(); const pri = input('number');
+    pri.step = 1; pri.value = rule.priority ?? 0;
+    pri.title = 'Higher wins where rules overlap';
+    pri.addEventListener('input', () => { rule.priority = pri.value|0; persistPrefs(); });
+    tdPri.append(pri);
+
+    const tdRad = td(); const rad = input('number');
+    rad.min = 0; rad.max = 100; rad.step = 0.5; rad.value = rule.radius ?? Mapper.DEFAULT_RULE_RADIUS;
+    rad.title = 'Match radius (ΔE) around the target';
+    rad.addEventListener('input', () => { rule.radius = Math.max(0, +rad.value || 0); persistPrefs(); });
+    tdRad.append(rad);
+
     const tdDel = td(); const del = btn('Del','btn btn-danger');
     del.addEventListener('click', () => {
       state.rules.splice(idx, 1);
@@ -230,7 +427,113 @@ function renderRulesTable() {
     });
     tdDel.append(del);
 
-    tr.append(tdOn, tdTarget, tdPattern, tdInks, tdDen, tdDel);
+    tr.append(tdOn, tdTarget, tdPattern, tdInks, tdDen, tdPri, tdRad, tdDel);
+    tbody.append(tr);
+  });
+
+  function td(){ return document.createElement('td'); }
+  function input(t){ const el = document.createElement('input'); el.type = t; return el; }
+  function btn(txt, cls){ const b = document.createElement('button'); b.textContent = txt; if (cls) b.className = cls; return b; }
+}
+
+// Screen angle / LPI / dot shape per active ink for the halftone preview
+function renderScreenTable() {
+  const tbody = els.screenTable && $('tbody', els.screenTable);
+  if (!tbody) return;
+  tbody.innerHTML = '';
+  const mode = els.colorCodeMode?.value || 'pms';
+  [...state.restricted].sort((a,b)=>a-b).filter(i => state.palette[i]).forEach((i, k) => {
+    const p = state.palette[i];
+    const hex = rgbToHex(p.r, p.g, p.b).toUpperCase();
+    const scr = screenFor(hex, k);
+    const save = (patch) => {
+      state.screens[hex] = { ...screenFor(hex, k), ...patch };
+      if (els.useHalftone?.checked) renderOutput();
+      persistPrefs();
+    };
+    const tr = document.createElement('tr');
+
+    const tdInk = td(); tdInk.textContent = formatColor(hex, mode);
+
+    const tdAngle = td(); const angle = input('number');
+    angle.min = 0; angle.max = 180; angle.step = 0.5; angle.value = scr.angle;
+    angle.addEventListener('change', () => save({ angle: ((+angle.value || 0) % 180 + 180) % 180 }));
+    tdAngle.append(angle);
+
+    const tdLpi = td(); const lpi = input('number');
+    lpi.min = 10; lpi.max = 200; lpi.step = 1; lpi.value = scr.lpi;
+    lpi.addEventListener('change', () => save({ lpi: clamp(+lpi.value || Halftone.DEFAULT_LPI, 10, 200) }));
+    tdLpi.append(lpi);
+
+    const tdShape = td(); const shape = document.createElement('select');
+    Halftone.DOT_SHAPES.forEach(d => shape.append(new Option(d.label, d.id)));
+    shape.value = scr.shape;
+    shape.addEventListener('change', () => save({ shape: shape.value }));
+    tdShape.append(shape);
+
+    tr.append(tdInk, tdAngle, tdLpi, tdShape);
+    tbody.append(tr);
+  });
+
+  function td(){ return document.createElement('td'); }
+  function input(t){ const el = document.createElement('input'); el.type = t; return el; }
+}
+
+// Saved screen for an ink, else the default for its position among the active inks
+function screenFor(hex, k) {
+  const s = state.screens[hex] || {};
+  return {
+    angle: Number.isFinite(s.angle) ? s.angle : Halftone.DEFAULT_ANGLES[k % Halftone.DEFAULT_ANGLES.length],
+    lpi: s.lpi > 0 ? s.lpi : Halftone.DEFAULT_LPI,
+    shape: s.shape || 'round',
+  };
+}
+
+function renderTrapTable() {
+  const tbody = els.trapTable && $('tbody', els.trapTable);
+  if (!tbody) return;
+  tbody.innerHTML = '';
+  const active = [...state.restricted].sort((a,b)=>a-b).filter(i => state.palette[i])
+    .map(i => ({ i, hex: rgbToHex(state.palette[i].r, state.palette[i].g, state.palette[i].b).toUpperCase() }));
+
+  state.trapPairs.forEach((pair, idx) => {
+    const tr = document.createElement('tr');
+    const inkSelect = (key) => {
+      const cell = td(); const sel = document.createElement('select');
+      active.forEach(({ hex }) => sel.append(new Option(formatColor(hex, els.colorCodeMode?.value || 'pms'), hex)));
+      // an ink that is no longer active stays listed so the pair survives palette edits
+      if (pair[key] && !active.some(a => a.hex === pair[key])) sel.append(new Option(`${pair[key]} (inactive)`, pair[key]));
+      sel.value = pair[key] || '';
+      sel.addEventListener('change', () => { pair[key] = sel.value; trapsChanged(); });
+      cell.append(sel);
+      return cell;
+    };
+
+    const tdWidth = td(); const width = input('number');
+    width.min = 0; width.step = 0.05; width.placeholder = 'default';
+    width.value = pair.width === '' || pair.width == null ? '' : pair.width;
+    width.addEventListener('change', () => {
+      pair.width = width.value === '' ? '' : Math.max(0, +width.value || 0);
+      trapsChanged();
+    });
+    tdWidth.append(width);
+
+    const tdSpread = td(); const spread = document.createElement('select');
+    [['auto', 'Lighter'], ['a', 'A spreads'], ['b', 'B spreads'], ['none', 'None']]
+      .forEach(([v, label]) => spread.append(new Option(label, v)));
+    spread.value = Trap.TRAP_SPREADS.includes(pair.spread) ? pair.spread : 'auto';
+    spread.addEventListener('change', () => { pair.spread = spread.value; trapsChanged(); });
+    tdSpread.append(spread);
+
+    const tdDel = td(); const del = btn('Del','btn btn-danger');
+    del.addEventListener('click', () => {
+      state.trapPairs.splice(idx, 1);
+      renderTrapTable();
+      trapsChanged();
+    });
+    tdDel.append(del);
+
+    tr.append(inkSelect('a'), inkSelect('b'), tdWidth, tdSpread, tdDel);
     tbody.append(tr);
   });
 
@@ -239,6 +542,15 @@ function renderRulesTable() {
   function btn(txt, cls){ const b = document.createElement('button'); b.textContent = txt; if (cls) b.className = cls; return b; }
 }
 
+function addTrapPair() {
+  const active = [...state.restricted].sort((a,b)=>a-b).map(i => state.palette[i]).filter(Boolean)
+    .map(p => rgbToHex(p.r, p.g, p.b).toUpperCase());
+  if (active.length < 2) { info('Select at least two inks to trap.'); return; }
+  state.trapPairs.push({ a: active[0], b: active[1], width: '', spread: 'auto' });
+  renderTrapTable();
+  trapsChanged();
+}
+
 function syncWeightsUI() {
   if (els.wChroma && els.wChromaOut) {
     els.wChromaOut.textContent = (Number(els.wChroma.value || 100) / 100).toFixed(2) + '×';
@@ -246,15 +558,20 @@ function syncWeightsUI() {
   if (els.wLight && els.wLightOut) {
     els.wLightOut.textContent  = (Number(els.wLight.value  || 100) / 100).toFixed(2) + '×';
   }
+  if (els.ditherStrength && els.ditherStrengthOut) {
+    els.ditherStrengthOut.textContent = `${els.ditherStrength.value}%`;
+  }
 }
 
 function enableUIAccordingToImage(has) {
   const en = (el, on) => { if (el) el.disabled = !on; };
   en(els.resetBtn,     has);
   en(els.autoExtract,  has);
+  en(els.openEditor,   has);
   en(els.applyBtn,     has);
   en(els.downloadBtn,  has);
   en(els.vectorExport, has);
+  en(els.exportSeparations, has);
 }
 
 // -----------------------------------------------------------------------------
@@ -265,16 +582,31 @@ function wireEvents() {
   els.restrictedList?.addEventListener('restricted:coloredit', (e) => {
     const { index, hex } = e.detail || {};
     if (index == null || !hex) return;
-    const rgb = hexToRgb(hex);
+    let rgb = hexToRgb(hex);
     if (!rgb) return;
+    // Snap mode: the picked color becomes the nearest library ink
+    const ink = snapOn() ? Libraries.nearestInk(hex) : null;
+    if (ink) rgb = hexToRgb(ink.hex);
 
     const prev = state.palette[index] || { tol: DEFAULT_TOL };
-    state.palette[index] = { r: rgb.r, g: rgb.g, b: rgb.b, tol: prev.tol ?? DEFAULT_TOL };
+    const was = state.palette[index] ? inkHex(prev) : 'color';
+    if (state.palette[index]) renameInks(new Map([[inkHex(prev), rgbToHex(rgb.r, rgb.g, rgb.b).toUpperCase()]]));
+    state.palette[index] = {
+      r: rgb.r, g: rgb.g, b: rgb.b, tol: prev.tol ?? DEFAULT_TOL,
+      ...(prev.locked ? { locked: true } : {}),
+      ...(ink ? { name: ink.name } : {}),
+    };
+    // Two inks on the same library ink merge into one
+    if (ink) snapPalette();
 
     renderRestrictedPaletteUI();
     renderCodeList();
+    renderScreenTable();
+    renderTrapTable();
     persistPrefs();
-    info(`Updated color ${index + 1} → ${hex.toUpperCase()}`);
+    info(ink
+      ? `Snapped ${was} → ${ink.name} (${ink.hex})`
+      : `Updated ${was} → ${hex.toUpperCase()}`);
   });
 
   // New: checkbox changes in Restricted list
@@ -282,9 +614,74 @@ function wireEvents() {
     const indices = getRestrictedInkIndices({ restrictedList: els.restrictedList });
     state.restricted = new Set(indices);
     renderCodeList();
+    renderScreenTable();
+    renderTrapTable();
+    persistPrefs();
+  });
+
+  // Lock toggles in Restricted list
+  els.restrictedList?.addEventListener('restricted:lock', (e) => {
+    const { index, locked } = e.detail || {};
+    const p = state.palette[index];
+    if (!p) return;
+    if (locked) p.locked = true; else delete p.locked;
+    renderRestrictedPaletteUI();
+    persistPrefs();
+    info(`${locked ? 'Locked' : 'Unlocked'} ${inkHex(p)}.`);
+  });
+
+  // Ink libraries + snap mode
+  els.inkLibrary?.addEventListener('change', () => {
+    Libraries.setActiveLibrary(els.inkLibrary.value);
+    persistPrefs();
+  });
+  els.addLibrary?.addEventListener('change', addInkLibrary);
+  els.removeLibrary?.addEventListener('click', removeInkLibrary);
+  els.snapLibrary?.addEventListener('change', () => {
+    if (snapOn()) { snapPalette(); renderAll(); }
+    persistPrefs();
+  });
+  bus.on('libraries:changed', renderInkLibraries);
+  bus.on('libraries:active', () => {
+    renderInkLibraries();
+    if (snapOn()) snapPalette();
+    renderAll();
+    if (els.harmonySnap?.checked) renderHarmony();
+  });
+
+  // Per-ink tolerance in Restricted list
+  els.restrictedList?.addEventListener('restricted:tol', (e) => {
+    const { index, tol } = e.detail || {};
+    const p = state.palette[index];
+    if (!p) return;
+    p.tol = Math.round(tol);
+    renderCodeList();
+    persistPrefs();
+    info(`Tolerance for ${inkHex(p)} → ${p.tol}`);
+  });
+  els.tolAll?.addEventListener('change', () => {
+    const v = Number(els.tolAll.value);
+    if (!Number.isFinite(v) || els.tolAll.value === '') return;
+    const tol = Math.round(clamp(v, 0, 200));
+    state.palette.forEach(p => { p.tol = tol; });
+    els.tolAll.value = '';
+    renderAll();
     persistPrefs();
+    info(`Tolerance for all colors → ${tol}`);
   });
 
+  // Palette library
+  els.libSave?.addEventListener('click', saveToLibrary);
+  els.libSearch?.addEventListener('input', renderLibrary);
+
+  // Harmony generator (opened from a row's ✦)
+  els.restrictedList?.addEventListener('restricted:harmony', (e) => openHarmony(e.detail?.hex));
+  els.harmonyType?.addEventListener('change',  renderHarmony);
+  els.harmonySpace?.addEventListener('change', renderHarmony);
+  els.harmonySnap?.addEventListener('change',  renderHarmony);
+  els.harmonyAdd?.addEventListener('click',    addHarmony);
+  els.harmonyClose?.addEventListener('click',  () => els.harmonyPanel?.classList.add('hidden'));
+
   // Image I/O
   els.fileInput?.addEventListener('change', handleFile);
   els.cameraInput?.addEventListener('change', handleFile);
@@ -293,23 +690,67 @@ function wireEvents() {
 
   // Extract / Suggestions / Rules
   els.autoExtract?.addEventListener('click', runAutoExtract);
+  els.cancelExtract?.addEventListener('click', cancelExtract);
   els.kColors?.addEventListener('change', () => info(`K = ${els.kColors.value}`));
+  els.workSpace?.addEventListener('change', persistPrefs);
+  els.extractAlgo?.addEventListener('change', persistPrefs);
+  els.kMode?.addEventListener('change', persistPrefs);
+  els.mergeDE?.addEventListener('change', persistPrefs);
+  els.extractFrom?.addEventListener('change', persistPrefs);
+  els.weighting?.addEventListener('change', persistPrefs);
+  els.paletteFormat?.addEventListener('change', persistPrefs);
+  els.exportPaletteFile?.addEventListener('click', exportPaletteFile);
+  els.importPaletteFile?.addEventListener('change', importPaletteFile);
+  els.clearRegions?.addEventListener('click', () => { setRegions([]); info('Cleared lasso regions.'); });
+  bus.on('regions:changed', renderRegionInfo);
   els.btnSuggestHueLuma?.addEventListener('click', suggestHueLuma);
   els.btnSmartMix?.addEventListener('click',  smartMix);
+  els.mixModel?.addEventListener('change', () => { persistPrefs(); if (els.smartMixOut?.childElementCount) smartMix(); });
   els.addRule?.addEventListener('click',      addRule);
+  [els.useHalftone, els.dotCell, els.dotBg, els.dotJitter, els.dotGain, els.dotGainComp]
+    .forEach(el => el?.addEventListener('change', () => { renderOutput(); persistPrefs(); }));
   els.btnRefreshOutput?.addEventListener('click', () => mapToRestricted(true));
 
   // Mapping
-  els.wChroma?.addEventListener('input', syncWeightsUI);
-  els.wLight ?.addEventListener('input', syncWeightsUI);
+  els.wChroma?.addEventListener('input', () => { syncWeightsUI(); remapSoon(); });
+  els.wLight ?.addEventListener('input', () => { syncWeightsUI(); remapSoon(); });
+  els.deMetric?.addEventListener('change', persistPrefs);
+  els.ditherStrength?.addEventListener('input', syncWeightsUI);
+  [els.useDither, els.ditherMethod, els.serpentine, els.ditherStrength, els.ditherSpace]
+    .forEach(el => el?.addEventListener('change', persistPrefs));
+  els.useSubstrate?.addEventListener('change',  () => { renderOutput(); persistPrefs(); });
+  els.substrateColor?.addEventListener('input', () => { renderOutput(); persistPrefs(); });
+  els.knockout?.addEventListener('change', persistPrefs);
+  els.unmatchedMode?.addEventListener('change', persistPrefs);
+  els.regionFeather?.addEventListener('change', persistPrefs);
+  [els.despeckle, els.minIsland, els.minIslandUnit, els.majorityFilter, els.protectDither]
+    .forEach(el => el?.addEventListener('change', persistPrefs));
+  els.highlightColor?.addEventListener('input', persistPrefs);
+  els.cvdMode?.addEventListener('change', renderOutput);
+  els.cvdCheck?.addEventListener('click', checkInkConfusion);
   els.applyBtn?.addEventListener('click', () => mapToRestricted(false));
   els.bigRegen?.addEventListener('click', () => mapToRestricted(true));
 
   // Export
   els.downloadBtn?.addEventListener('click', exportPng);
+  els.cancelMap?.addEventListener('click', cancelFullRes);
+  [els.useTrap, els.trapWidth, els.trapUnit].forEach(el => el?.addEventListener('change', trapsChanged));
+  els.showTraps?.addEventListener('change', () => { renderOutput(); persistPrefs(); });
+  els.addTrapPair?.addEventListener('click', addTrapPair);
+  els.exportSeparations?.addEventListener('click', exportSeparations);
+  els.keepFullRes?.addEventListener('change', () => {
+    setOption('keepFullRes', els.keepFullRes.checked);
+    persistPrefs();
+  });
   els.vectorExport?.addEventListener('click', exportSvg);
   els.exportReport?.addEventListener('click', exportReport);
-  els.colorCodeMode?.addEventListener('change', renderCodeList);
+  els.colorCodeMode?.addEventListener('change', () => {
+    renderCodeList(); renderCoverage(); renderScreenTable(); renderTrapTable();
+  });
+  [els.printW, els.printH, els.meshCount, els.deposit, els.runQty].forEach(el =>
+    el?.addEventListener('input', () => { renderCoverage(); persistPrefs(); }));
+  // a trap width in mm depends on the print width
+  els.printW?.addEventListener('change', () => { if (els.trapUnit?.value !== 'px') trapsChanged(); });
 
   // Projects
   els.openProjects?.addEventListener('click', () => els.projectsPane?.classList.add('open'));
@@ -327,6 +768,29 @@ function wireEvents() {
 // -----------------------------------------------------------------------------
 // Image pipeline
 // -----------------------------------------------------------------------------
+function initEditor() {
+  State.preview.canvas = els.srcCanvas;
+  State.preview.ctx    = els.srcCanvas?.getContext('2d', { willReadFrequently: true }) || null;
+  if (!els.editCanvas || !els.editOverlay) return;
+  try {
+    initFullscreen(els);
+    enableLasso(els);
+  } catch (e) {
+    console.warn('Editor unavailable:', e);
+  }
+  renderRegionInfo();
+}
+
+// Union of the lasso region masks (srcCanvas size), or null if there are none
+function regionMask() {
+  const w = els.srcCanvas?.width | 0, h = els.srcCanvas?.height | 0;
+  const masks = State.regions.map(r => r.mask).filter(m => m?.length === w * h);
+  if (!masks.length) return null;
+  const out = new Uint8Array(w * h);
+  for (const m of masks) for (let i = 0; i < out.length; i++) if (m[i]) out[i] = 1;
+  return out;
+}
+
 async function handleFile(e) {
   const file = e.target.files?.[0];
   if (!file) return;
@@ -360,51 +824,455 @@ async function pasteImage() {
 }
 
 function resetAll() {
+  cancelExtract();
+  cancelFullRes();
+  State.original.bitmap = null;
+  setRegions([]);
   clearCanvas(els.srcCanvas);
   clearCanvas(els.outCanvas);
   state.srcImage = null;
   state.mapped = null;
+  state.mapSpec = null;
+  state.mappedFull = null;
+  state.traps = null;
+  state.halftone = null;
+  state.coverage = null;
+  renderCoverage();
   enableUIAccordingToImage(false);
   info('Reset.');
 }
 
+// -----------------------------------------------------------------------------
+// Palette library (Store.loadSavedPalettes / saveSavedPalettes)
+// Entry: { id, name, tags:[], inks:[{hex, tol, name?}], created, updated }
+// -----------------------------------------------------------------------------
+function libraryEntries() {
+  const list = Store?.loadSavedPalettes?.() || [];
+  State.savedPalettes = Array.isArray(list) ? list.filter(e => e && Array.isArray(e.inks)) : [];
+  return State.savedPalettes;
+}
+
+function writeLibrary(list) {
+  if (!Store?.saveSavedPalettes?.(list)) { info('Could not save the palette library.'); return false; }
+  State.savedPalettes = list;
+  renderLibrary();
+  return true;
+}
+
+const newLibraryId = () => `pal_${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+
+function saveToLibrary() {
+  const inks = [...state.restricted].sort((a,b)=>a-b)
+    .map(i => state.palette[i]).filter(Boolean)
+    .map(p => ({ hex: rgbToHex(p.r, p.g, p.b).toUpperCase(), tol: p.tol, ...(p.name ? { name: p.name } : {}) }));
+  if (!inks.length) { info('No active inks to save.'); return; }
+
+  const name = (els.libName?.value || '').trim() || `${inks.length}-ink palette`;
+  const tags = (els.libTags?.value || '').split(',').map(t => t.trim()).filter(Boolean);
+  const now  = Date.now();
+  const entry = { id: newLibraryId(), name, tags, inks, tolUnit: TOL_UNIT, created: now, updated: now };
+  if (!writeLibrary([entry, ...libraryEntries()])) return;
+  if (els.libName) els.libName.value = '';
+  if (els.libTags) els.libTags.value = '';
+  showToast(`Saved “${name}” to the library.`);
+}
+
+// Every search word must hit the name, a tag, or an ink's hex/name
+function libraryMatches(entry, query) {
+  const hay = [entry.name, ...(entry.tags || []), ...(entry.inks || []).flatMap(k => [k.hex, k.name || ''])]
+    .join(' ').toLowerCase();
+  return query.toLowerCase().split(/\s+/).filter(Boolean).every(w => hay.includes(w));
+}
+
+function renderLibrary() {
+  if (!els.libraryList) return;
+  const query = els.libSearch?.value || '';
+  const list  = libraryEntries().filter(e => libraryMatches(e, query));
+  els.libraryList.innerHTML = '';
+  if (!list.length) {
+    const p = document.createElement('div');
+    p.className = 'empty';
+    p.textContent = query ? 'No saved palettes match.' : 'No saved palettes yet.';
+    els.libraryList.append(p);
+    return;
+  }
+
+  list.forEach(entry => {
+    const item = document.createElement('div');
+    item.className = 'lib-item';
+
+    const head = document.createElement('div');
+    const name = document.createElement('div');
+    name.className = 'lib-name';
+    name.textContent = `${entry.name} (${entry.inks.length})`;
+    const tags = document.createElement('div');
+    tags.className = 'lib-tags';
+    tags.textContent = (entry.tags || []).map(t => `#${t}`).join(' ');
+    head.append(name, tags);
+
+    const actions = document.createElement('div');
+    actions.className = 'lib-actions';
+    const act = (label, fn, cls = 'btn btn-ghost') => {
+      const b = document.createElement('button');
+      b.type = 'button'; b.className = cls; b.textContent = label;
+      b.addEventListener('click', fn);
+      actions.append(b);
+    };
+    act('Apply',     () => applyLibraryEntry(entry), 'btn');
+    act('Duplicate', () => duplicateLibraryEntry(entry));
+    act('Delete',    () => deleteLibraryEntry(entry), 'btn btn-danger');
+
+    const sw = document.createElement('div');
+    sw.className = 'lib-sw';
+    entry.inks.forEach(k => {
+      const s = document.createElement('span');
+      s.className = 'mix-sw';
+      s.style.background = k.hex;
+      s.title = k.name ? `${k.name} ${k.hex}` : k.hex;
+      sw.append(s);
+    });
+
+    item.append(head, actions, sw);
+    els.libraryList.append(item);
+  });
+}
+
+function applyLibraryEntry(entry) {
+  const inks = (entry.inks || []).filter(k => hexToRgb(k.hex));
+  if (!inks.length) return;
+  const legacyTol = entry.tolUnit !== TOL_UNIT;
+  state.palette = inks.map(k => {
+    const { r, g, b } = hexToRgb(k.hex);
+    const tol = legacyTol ? DEFAULT_TOL : (k.tol ?? DEFAULT_TOL)|0;
+    return { r, g, b, tol, ...(k.name ? { name: k.name } : {}) };
+  });
+  state.restricted = new Set(state.palette.map((_, i) => i));
+  state.paletteSource = null;
+  renderAll();
+  persistPrefs();
+  showToast(`Applied “${entry.name}”.`);
+}
+
+function duplicateLibraryEntry(entry) {
+  const list = libraryEntries();
+  const at = list.findIndex(e => e.id === entry.id);
+  const now = Date.now();
+  const copy = { ...structuredClone(entry), id: newLibraryId(), name: `${entry.name} copy`, created: now, updated: now };
+  list.splice(at + 1, 0, copy);
+  if (writeLibrary(list)) info(`Duplicated “${entry.name}”.`);
+}
+
+function deleteLibraryEntry(entry) {
+  if (!confirm(`Delete “${entry.name}” from the library?`)) return;
+  if (writeLibrary(libraryEntries().filter(e => e.id !== entry.id))) info(`Deleted “${entry.name}”.`);
+}
+
+// -----------------------------------------------------------------------------
+// Ink libraries (Libraries.*; user libraries persist via Store.saveInkLibraries)
+// -----------------------------------------------------------------------------
+// Built-ins are fetched once; failures leave that library out
+function ensureLibraries() {
+  if (ensureLibraries._ready) return ensureLibraries._ready;
+  for (const lib of Store?.loadInkLibraries?.() || []) {
+    if (lib?.id && Array.isArray(lib.inks)) Libraries.registerLibrary({ ...lib, source: 'file' });
+  }
+  ensureLibraries._ready = Promise.all(Libraries.BUILTIN_LIBRARIES.map(b =>
+    Libraries.loadLibraryUrl(b.url, { id: b.id, name: b.name }).catch(e => console.warn(e))
+  )).then(() => {
+    // A restored choice may point at a library that has since been removed
+    if (!Libraries.getLibrary()) {
+      const first = Libraries.listLibraries()[0];
+      if (first) Libraries.setActiveLibrary(first.id);
+    }
+    renderInkLibraries();
+  });
+  return ensureLibraries._ready;
+}
+
+function renderInkLibraries() {
+  if (!els.inkLibrary) return;
+  const list = Libraries.listLibraries();
+  els.inkLibrary.innerHTML = '';
+  for (const lib of list) {
+    const opt = document.createElement('option');
+    opt.value = lib.id;
+    opt.textContent = `${lib.name} (${lib.count})`;
+    els.inkLibrary.append(opt);
+  }
+  els.inkLibrary.value = State.activeLibrary ?? '';
+  els.inkLibrary.disabled = !list.length;
+  if (els.removeLibrary) els.removeLibrary.disabled = Libraries.getLibrary()?.source !== 'file';
+  renderCodeList();
+}
+
+function saveInkLibraries() {
+  const user = Libraries.listLibraries()
+    .filter(l => l.source === 'file')
+    .map(l => Libraries.serializeLibrary(Libraries.getLibrary(l.id)));
+  if (!Store?.saveInkLibraries?.(user)) info('Could not save ink libraries (storage full?).');
+}
+
+async function addInkLibrary(e) {
+  const file = e.target.files?.[0]; if (!file) return;
+  try {
+    const parsed = Libraries.parseLibrary(await file.text(), file.name);
+    const lib = Libraries.registerLibrary({
+      id: `lib-${Date.now().toString(36)}`,
+      name: parsed.name || file.name.replace(/\.[^.]+$/, ''),
+      inks: parsed.inks,
+    });
+    if (!lib.inks.length) {
+      Libraries.removeLibrary(lib.id);
+      info('No inks found in that file.');
+      return;
+    }
+    Libraries.setActiveLibrary(lib.id);
+    saveInkLibraries();
+    persistPrefs();
+    showToast(`Added ink library “${lib.name}” (${lib.inks.length} inks).`);
+  } catch (err) {
+    console.warn(err); info('Ink library import failed.');
+  } finally {
+    e.target.value = '';
+  }
+}
+
+function removeInkLibrary() {
+  const lib = Libraries.getLibrary();
+  if (!lib || lib.source !== 'file') return;
+  if (!confirm(`Remove ink library “${lib.name}”?`)) return;
+  Libraries.removeLibrary(lib.id);
+  saveInkLibraries();
+  persistPrefs();
+  info(`Removed “${lib.name}”.`);
+}
+
+function snapOn() {
+  return !!els.snapLibrary?.checked && !!Libraries.getLibrary()?.inks.length;
+}
+
+// Move unlocked inks onto their nearest library ink. Inks that land on the
+// same library ink merge (shares add up; enabled if either was). Returns
+// the number of merged inks.
+function snapPalette() {
+  const palette = [], restricted = new Set(), byHex = new Map(), renamed = new Map();
+  state.palette.forEach((p, i) => {
+    let ink = { ...p };
+    if (!p.locked) {
+      const m = Libraries.nearestInk(rgbToHex(p.r, p.g, p.b));
+      if (m.name !== '—') ink = { ...ink, ...hexToRgb(m.hex), name: m.name };
+    }
+    const key = rgbToHex(ink.r, ink.g, ink.b).toUpperCase();
+    renamed.set(inkHex(p), key);
+    let j = byHex.get(key);
+    if (j == null) {
+      j = palette.push(ink) - 1;
+      byHex.set(key, j);
+    } else {
+      const into = palette[j];
+      if (typeof ink.share === 'number') into.share = (into.share || 0) + ink.share;
+      if (ink.locked) into.locked = true;
+    }
+    if (state.restricted.has(i)) restricted.add(j);
+  });
+  const merged = state.palette.length - palette.length;
+  state.palette = palette;
+  state.restricted = restricted;
+  renameInks(renamed);
+  return merged;
+}
+
+const inkHex = (p) => rgbToHex(p.r, p.g, p.b).toUpperCase();
+
+// Rules, lasso regions, trap pairs and halftone screens name inks by HEX, so
+// palette reordering leaves them alone; when an ink's color changes (edit,
+// snap) they follow it. `renamed`: old HEX -> new HEX
+function renameInks(renamed) {
+  for (const [from, to] of renamed) if (from === to) renamed.delete(from);
+  if (!renamed.size) return;
+  const swap = (hex) => renamed.get(hex) ?? hex;
+  state.rules.forEach(r => { r.inks = (r.inks || []).map(swap); });
+  State.regions.forEach(r => { r.allowed = new Set([...(r.allowed || [])].map(swap)); });
+  state.trapPairs.forEach(p => { p.a = swap(p.a); p.b = swap(p.b); });
+  const screens = {};
+  for (const [hex, scr] of Object.entries(state.screens)) screens[swap(hex)] ??= scr;
+  state.screens = screens;
+  renderRulesTable();
+}
+
+// -----------------------------------------------------------------------------
+// Harmony generator
+// -----------------------------------------------------------------------------
+function openHarmony(hex) {
+  if (!hexToRgb(hex || '')) return;
+  state.harmonyBase = hex.toUpperCase();
+  els.harmonyPanel?.classList.remove('hidden');
+  renderHarmony();
+}
+
+async function renderHarmony() {
+  const base = state.harmonyBase;
+  if (!base || !els.harmonyOut) return;
+  if (els.harmonyBase) els.harmonyBase.style.background = base;
+  if (els.harmonyBaseHex) els.harmonyBaseHex.textContent = base;
+
+  let proposals;
+  try {
+    const hexes = Harmony.generateHarmony(base, els.harmonyType?.value || 'complementary', {
+      space: els.harmonySpace?.value || 'oklch',
+    });
+    proposals = hexes.map(hex => ({ hex }));
+    if (els.harmonySnap?.checked) {
+      await ensureLibraries();
+      const seen = new Set();
+      proposals = hexes.map(hex => {
+        const p = Libraries.nearestInk(hex);
+        return p.name === '—' ? { hex } : { hex: p.hex.toUpperCase(), name: p.name, dE: p.dE };
+      }).filter(p => !seen.has(p.hex) && seen.add(p.hex));
+      if (!Libraries.getLibrary()?.inks.length) info('Ink library not available; showing unsnapped colors.');
+    }
+  } catch (e) {
+    console.warn(e); info('Harmony generation failed.');
+    return;
+  }
+  state.harmony = proposals;
+
+  els.harmonyOut.innerHTML = '';
+  proposals.forEach((p, i) => {
+    const row = document.createElement('label');
+    row.className = 'mix-row';
+    const box = document.createElement('input');
+    box.type = 'checkbox';
+    box.checked = true;
+    box.dataset.idx = String(i);
+    const sw = document.createElement('span');
+    sw.className = 'mix-sw';
+    sw.style.background = p.hex;
+    const label = document.createElement('span');
+    label.className = 'mono';
+    label.textContent = p.name ? `${p.hex}  ${p.name} (ΔE ${p.dE.toFixed(2)})` : p.hex;
+    row.append(box, sw, label);
+    els.harmonyOut.append(row);
+  });
+}
+
+function addHarmony() {
+  const picks = $$('input[type=checkbox]', els.harmonyOut)
+    .filter(b => b.checked)
+    .map(b => state.harmony[b.dataset.idx | 0])
+    .filter(Boolean);
+  if (!picks.length) { info('Nothing selected.'); return; }
+  for (const p of picks) {
+    const { r, g, b } = hexToRgb(p.hex);
+    state.restricted.add(state.palette.length);
+    state.palette.push({ r, g, b, tol: DEFAULT_TOL, ...(p.name ? { name: p.name } : {}) });
+  }
+  if (snapOn()) snapPalette();
+  renderAll();
+  persistPrefs();
+  info(`Added ${picks.length} harmony color${picks.length > 1 ? 's' : ''}.`);
+}
+
 // -----------------------------------------------------------------------------
 // Palette extraction & suggestions
 // -----------------------------------------------------------------------------
 async function runAutoExtract() {
   if (!els.srcCanvas) return;
-  const k = clamp(els.kColors?.value|0 || 10, 2, 16);
+  const k = clamp(els.kColors?.value|0 || 10, 2, Palette?.MAX_K || 24);
 
-  if (!Palette?.autoPaletteFromCanvasHybrid) {
+  if (!Palette?.extractPaletteStats) {
     info('Auto-extract not available.');
     return;
   }
+  // Re-running while a job is in flight replaces it
+  state.extractJob?.abort();
+  const job = new AbortController();
+  state.extractJob = job;
+  setExtractProgress(0, 'Starting…');
+
   try {
     info('Extracting palette…');
-    const hexes = Palette.autoPaletteFromCanvasHybrid(els.srcCanvas, k) || [];
+    const algorithm = els.extractAlgo?.value || 'kmeans';
+    const autoK = kMode();
+    // Locked inks are fixed centers: they come back first, unchanged
+    const lockedIdx = state.palette.flatMap((p, i) => p.locked ? [i] : []);
+    let mask = null;
+    if (els.extractFrom?.value === 'regions') {
+      mask = regionMask();
+      if (!mask) { info('No lasso regions yet — draw one in the editor first.'); return; }
+    }
+    const { hexes, shares, k: usedK, autoK: swept } = await Palette.extractPaletteStats(els.srcCanvas, k, {
+      algorithm,
+      autoK,
+      space: workSpace(),
+      mergeDE: mergeDE(),
+      mask,
+      weighting: els.weighting?.value || 'none',
+      fixed: lockedIdx.map(i => rgbToHex(state.palette[i].r, state.palette[i].g, state.palette[i].b)),
+      signal: job.signal,
+      onProgress: (p) => p.phase === 'sweep'
+        ? setExtractProgress(p.k / p.kMax, `Trying K=${p.k} of ${p.kMax}`)
+        : setExtractProgress(p.iter / p.iters, `Iteration ${p.iter}/${p.iters}`),
+    });
     if (!hexes.length) { info('No colors found.'); return; }
 
-    state.palette = hexes.map(hx => {
+    const lockedInks = lockedIdx.map(i => state.palette[i]);
+    const palette = hexes.map((hx, i) => {
+      if (i < lockedInks.length) return { ...lockedInks[i], share: shares[i] };
       const { r, g, b } = hexToRgb(hx);
-      return { r, g, b, tol: DEFAULT_TOL };
+      return { r, g, b, tol: DEFAULT_TOL, share: shares[i] };
     });
-    state.restricted = new Set(state.palette.map((_, i) => i));
+    // Locked inks keep their enabled state; new colors start enabled
+    state.restricted = new Set(palette.flatMap((_, i) =>
+      i >= lockedIdx.length || state.restricted.has(lockedIdx[i]) ? [i] : []));
+    state.palette = palette;
+    state.paletteSource = {
+      algorithm, space: workSpace(), k: usedK, autoK: swept,
+      region: !!mask, weighting: els.weighting?.value || 'none',
+    };
+    const snapped = snapOn() ? snapPalette() : 0;
 
     renderAll();
     persistPrefs();
-    info(`Extracted ${state.palette.length} colors.`);
+    const merged = usedK - hexes.length;
+    info(`Extracted ${hexes.length} colors` +
+      (swept ? ` (auto K=${usedK})` : '') +
+      (autoK && !swept ? ` (auto K needs Web Workers; used K=${usedK})` : '') +
+      (lockedIdx.length ? `, ${lockedIdx.length} locked` : '') +
+      (merged > 0 ? `, merged ${merged} near-duplicate${merged > 1 ? 's' : ''}` : '') +
+      (snapOn() ? `, snapped to ${Libraries.getLibrary().name}` +
+        (snapped ? ` (${snapped} shared an ink)` : '') : '') + '.');
   } catch (e) {
+    if (e?.name === 'AbortError') { info('Extraction cancelled.'); return; }
     console.warn(e);
     info('Failed to extract palette.');
+  } finally {
+    if (state.extractJob === job) {
+      state.extractJob = null;
+      setExtractProgress(null);
+    }
   }
 }
 
+function cancelExtract() {
+  state.extractJob?.abort();
+}
+
+// frac 0..1 shows the bar + Cancel; null hides them
+function setExtractProgress(frac, text = '') {
+  const busy = frac != null;
+  els.extractProgress?.classList.toggle('hidden', !busy);
+  els.cancelExtract?.classList.toggle('hidden', !busy);
+  if (els.extractProgress && busy) els.extractProgress.value = frac;
+  if (els.extractStatus) els.extractStatus.textContent = busy ? text : '';
+}
+
 async function suggestHueLuma() {
   if (!Suggest?.suggestByHueLuma) { info('Suggest module not available.'); return; }
   try {
     const hexes = state.palette.map(p => rgbToHex(p.r,p.g,p.b));
     const allowed = [...state.restricted].sort((a,b)=>a-b);
-    const picks = Suggest.suggestByHueLuma(els.srcCanvas, hexes, allowed) || [];
+    const picks = Suggest.suggestByHueLuma(els.srcCanvas, hexes, allowed, { ...metricOpts(), model: mixModel() }) || [];
     if (picks.length) {
       state.restricted = new Set(picks);
       renderRestrictedPaletteUI();
@@ -422,18 +1290,52 @@ async function smartMix() {
   try {
     const allowed = [...state.restricted].sort((a,b)=>a-b);
     const hexes   = state.palette.map(p => rgbToHex(p.r,p.g,p.b));
-    const target  = hexes[allowed[0]] ?? hexes[0];
-    const res     = Suggest.smartMixSuggest(target, hexes, allowed);
+    // Target: first palette color without its own ink; else the first ink
+    const tIdx    = hexes.findIndex((_, i) => !state.restricted.has(i));
+    const target  = tIdx >= 0 ? hexes[tIdx] : (hexes[allowed[0]] ?? hexes[0]);
+    const res     = Suggest.smartMixSuggest(target, hexes, allowed, { ...metricOpts(), model: mixModel() });
+    renderSmartMix(target, res);
     info(res ? `Smart Mix: ${JSON.stringify(res)}` : 'No mix found.');
   } catch (e) {
     console.warn(e); info('Smart Mix failed.');
   }
 }
 
+function renderSmartMix(targetHex, res) {
+  if (!els.smartMixOut) return;
+  els.smartMixOut.innerHTML = '';
+  if (!res) return;
+  const sw = (hex, title) => {
+    const s = document.createElement('span');
+    s.className = 'mix-sw'; s.style.background = hex; s.title = title;
+    return s;
+  };
+  const row = document.createElement('div');
+  row.className = 'mix-row';
+  const [a, b] = res.inks.map(i => formatColor(inkHex(state.palette[i]), els.colorCodeMode?.value || 'pms'));
+  const pa = Math.round(res.density * 100);
+  const label = document.createElement('span');
+  label.className = 'mono';
+  label.textContent = `${targetHex.toUpperCase()} ≈ ${a} ${pa}% + ${b} ${100-pa}%  ΔE ${res.err.toFixed(2)} (${res.model})`;
+  row.append(sw(targetHex, 'Target'), sw(res.hex, 'Predicted mix'), label);
+  els.smartMixOut.append(row);
+}
+
+// New rule row; the table edits it in place
+function addRule() {
+  state.rules.push({
+    on: true, target: '', pattern: 'checker', inks: [], density: 50,
+    priority: 0, radius: Mapper.DEFAULT_RULE_RADIUS,
+  });
+  renderRulesTable();
+  persistPrefs();
+}
+
 // -----------------------------------------------------------------------------
 // Mapping
 // -----------------------------------------------------------------------------
-async function mapToRestricted(forceRemap = false) {
+// background: map on worker threads (weight sliders), so the page stays responsive
+async function mapToRestricted(forceRemap = false, { background = false } = {}) {
   if (!Mapper?.mapToPalette) { info('Mapping module not available.'); return; }
   if (!els.srcCanvas || !els.outCanvas) return;
 
@@ -441,43 +1343,414 @@ async function mapToRestricted(forceRemap = false) {
   const inks = idx.map(i => state.palette[i]).filter(Boolean);
   if (!inks.length) { info('Select at least one ink.'); return; }
 
-  const weights = {
-    wC: (els.wChroma?.value|0 || 100)/100,
-    wL: (els.wLight ?.value|0 || 100)/100,
-  };
+  syncReportState();
+  const stats = {}; // mapper fills in stats.unmatched
   const opts = {
-    dither: !!els.useDither?.checked,
+    dither: els.useDither?.checked ? (els.ditherMethod?.value || true) : false,
+    serpentine: !!els.serpentine?.checked,
+    ditherStrength: (els.ditherStrength?.value ?? 100) / 100,
+    ditherSpace: els.ditherSpace?.value || 'srgb',
     bgMode: els.bgMode?.value || 'keep',
-    ...weights,
+    ...metricOpts(),
+    // the knocked-out substrate is matched like an ink, at the default tolerance
+    substrate: substrateRgb() && { ...substrateRgb(), tol: DEFAULT_TOL },
+    knockout: !!els.knockout?.checked,
+    unmatched: els.unmatchedMode?.value || 'nearest',
+    highlight: hexToRgb(els.highlightColor?.value || '#FF00FF'),
+    rules: mappingRules(idx),
+    regions: mappingRegions(idx),
+    feather: clamp(+els.regionFeather?.value || 0, 0, 50),
     forceRemap,
   };
+  const clean = despeckleSpec();
+  opts.maskDither = !!clean?.protect;
+  const sharpen = !!els.sharpenEdges?.checked;
 
   try {
     info('Mapping…');
     const sctx = els.srcCanvas.getContext('2d', { willReadFrequently: true });
-    const srcData = sctx.getImageData(0, 0, els.srcCanvas.width, els.srcCanvas.height);
-
-    const outData = Mapper.mapToPalette(srcData, inks, opts); // ImageData in/out
-    state.mapped  = outData;
-
-    els.outCanvas.width  = outData.width;
-    els.outCanvas.height = outData.height;
-    els.outCanvas.getContext('2d').putImageData(outData, 0, 0);
+    const W = els.srcCanvas.width, H = els.srcCanvas.height;
 
-    if (els.sharpenEdges?.checked && Sharpen?.unsharpMask) {
-      const ctx = els.outCanvas.getContext('2d', { willReadFrequently: true });
-      const img = ctx.getImageData(0, 0, els.outCanvas.width, els.outCanvas.height);
-      const sharp = Sharpen.unsharpMask(img, 0.5); // amount
-      ctx.putImageData(sharp, 0, 0);
+    let outData;
+    if (background) {
+      const res = await remapOffThread(W, H, sctx, inks, opts);
+      if (!res) return; // a newer re-map or Apply took over
+      ({ imgData: outData, unmatched: stats.unmatched, dithered: stats.dithered } = res);
+    } else {
+      state.remapJob?.abort();
+      outData = Mapper.mapToPalette(sctx.getImageData(0, 0, W, H), inks, { ...opts, stats }); // ImageData in/out
     }
-
-    info('Done.');
+    const cleaned = {};
+    if (clean) outData = despeckled(outData, stats.dithered, clean, cleaned);
+    if (sharpen && Sharpen?.unsharpMask) {
+      outData = Sharpen.unsharpMask(outData, 0.5); // amount
+    }
+    cancelFullRes();
+    state.mapped = outData;
+    state.mapSpec = { inks, opts, clean, sharpen };
+    state.mappedFull = null;
+    state.traps = computeTraps(outData, inks);
+    renderOutput();
+    updateCoverage(idx);
+
+    const total = W * H;
+    info((stats.unmatched
+      ? `Done. ${(stats.unmatched / total * 100).toFixed(1)}% of pixels are outside every ink's tolerance.`
+      : 'Done.') +
+      (cleaned.islands ? ` Despeckle merged ${cleaned.islands} island${cleaned.islands > 1 ? 's' : ''}.` : ''));
   } catch (e) {
     console.warn(e);
     info('Mapping failed.');
   }
 }
 
+// Despeckle settings, or null when off
+function despeckleSpec() {
+  if (!els.despeckle?.checked) return null;
+  return {
+    min: Math.max(0, +els.minIsland?.value || 0),
+    unit: els.minIslandUnit?.value === 'mm' ? 'mm' : 'px',
+    majority: !!els.majorityFilter?.checked,
+    protect: !!els.protectDither?.checked,
+  };
+}
+
+// Despeckle a mapped image; a size in mm is converted at this image's
+// width over the print width, and one in px is preview pixels (scaled by
+// area for the full-res export), so the preview and export agree
+function despeckled(img, dithered, spec, stats = null) {
+  const scale = img.width / (els.srcCanvas?.width || img.width);
+  const minArea = spec.unit === 'mm'
+    ? Despeckle.minAreaForMm(spec.min, img.width, printJob().widthMm)
+    : Math.round(spec.min * scale * scale);
+  return Despeckle.despeckle(img, {
+    minArea, majority: spec.majority, protect: spec.protect ? dithered : null, stats,
+  });
+}
+
+// Re-map once a weight slider pauses (when there is a mapping). The lookup
+// tables depend on the weights, so every step is a fresh mapping: it runs on
+// worker threads and a newer one cancels the last
+function remapSoon() {
+  if (!state.mapped) return;
+  clearTimeout(state.remapTimer);
+  state.remapTimer = setTimeout(() => {
+    state.remapTimer = 0;
+    mapToRestricted(false, { background: true });
+  }, REMAP_DELAY);
+}
+
+// The preview mapped by Tiled.mapTiled; resolves null when cancelled by a
+// newer re-map or an Apply
+async function remapOffThread(W, H, ctx, inks, opts) {
+  state.remapJob?.abort();
+  const job = new AbortController();
+  state.remapJob = job;
+  try {
+    return await Tiled.mapTiled(
+      { width: W, height: H, readBand: (y, h) => ctx.getImageData(0, y, W, h) },
+      inks, opts, { signal: job.signal });
+  } catch (e) {
+    if (e?.name === 'AbortError') return null;
+    throw e;
+  } finally {
+    if (state.remapJob === job) state.remapJob = null;
+  }
+}
+
+// The last mapping redone on the original bitmap at full size, in bands on
+// worker threads (Tiled.mapTiled), for export. It runs once per mapping, with
+// progress + Cancel, and is cached until the next mapping. Returns the preview
+// result when Full resolution is off or the preview already is full size.
+async function fullResImageData() {
+  const bmp = State.original.bitmap;
+  const spec = state.mapSpec;
+  if (!state.mapped || !spec || !bmp || !State.opts.keepFullRes) return state.mapped;
+  const W = State.original.width, H = State.original.height;
+  if (W <= state.mapped.width && H <= state.mapped.height) return state.mapped;
+  if (state.mappedFull) return state.mappedFull;
+
+  state.mapJob?.abort();
+  const job = new AbortController();
+  state.mapJob = job;
+  setMapProgress(0, `Mapping ${W}×${H}…`);
+  try {
+    const canvas = document.createElement('canvas');
+    canvas.width = W; canvas.height = H;
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bmp, 0, 0, W, H);
+    const { imgData, dithered } = await Tiled.mapTiled(
+      { width: W, height: H, readBand: (y, h) => ctx.getImageData(0, y, W, h) },
+      spec.inks, spec.opts,
+      { signal: job.signal, onProgress: (p) => setMapProgress(p.done / p.total, `Band ${p.done}/${p.total}`) });
+    let out = imgData;
+    if (spec.clean) out = despeckled(out, dithered, spec.clean);
+    if (spec.sharpen && Sharpen?.unsharpMask) out = Sharpen.unsharpMask(out, 0.5);
+    state.mappedFull = out;
+    return out;
+  } finally {
+    if (state.mapJob === job) {
+      state.mapJob = null;
+      setMapProgress(null);
+    }
+  }
+}
+
+function cancelFullRes() {
+  state.mapJob?.abort();
+}
+
+// frac 0..1 shows the bar + Cancel; null hides them
+function setMapProgress(frac, text = '') {
+  const busy = frac != null;
+  els.mapProgress?.classList.toggle('hidden', !busy);
+  els.cancelMap?.classList.toggle('hidden', !busy);
+  if (els.mapProgress && busy) els.mapProgress.value = frac;
+  if (els.mapStatus) els.mapStatus.textContent = busy ? text : '';
+}
+
+// Rules table + State.replacements as mapper rules over the active inks `idx`
+// (palette indices in mapping order). Replacements rank below table rules of
+// equal priority.
+function mappingRules(idx) {
+  const pos = new Map(idx.map((pi, i) => [inkHex(state.palette[pi]), i]));
+  const rules = [];
+  for (const rule of state.rules) {
+    const target = hexToRgb(rule.target || '');
+    const inks = (rule.inks || []).filter(i => pos.has(i)).map(i => pos.get(i));
+    if (!rule.on || !target || !inks.length) continue;
+    rules.push({
+      target, inks,
+      pattern: rule.pattern || 'checker',
+      density: clamp((rule.density ?? 100) / 100, 0, 1),
+      radius: rule.radius ?? Mapper.DEFAULT_RULE_RADIUS,
+      priority: rule.priority | 0,
+    });
+  }
+  // targetIndex -> [{inkIndex, density, pattern, params}]; inkIndex is already an active-ink index
+  State.replacements.forEach((mix, target) => {
+    const t = State.originalPalette[target];
+    if (!t || !mix?.length) return;
+    rules.push({
+      target: { r: t[0], g: t[1], b: t[2] },
+      inks: mix.map(m => m.inkIndex),
+      pattern: mix[0].pattern || 'bayer4',
+      params: mix[0].params,
+      density: mix[0].density ?? 1,
+      priority: -1,
+    });
+  });
+  return rules;
+}
+
+// Lasso regions with their allowed inks (HEX) as active-ink indices; masks
+// are at the source canvas size
+function mappingRegions(idx) {
+  const pos = new Map(idx.map((pi, i) => [inkHex(state.palette[pi]), i]));
+  const w = els.srcCanvas?.width | 0, h = els.srcCanvas?.height | 0;
+  return State.regions.map(r => ({
+    mask: r.mask, w, h,
+    allowed: [...(r.allowed || [])].filter(i => pos.has(i)).map(i => pos.get(i)),
+  }));
+}
+
+// Draw state.mapped into outCanvas, composited over the substrate when one is set
+function renderOutput() {
+  if (!state.mapped || !els.outCanvas) return;
+  const sub = substrateRgb();
+  let img = (sub && Mapper?.compositeOverSubstrate)
+    ? Mapper.compositeOverSubstrate(state.mapped, sub)
+    : state.mapped;
+  // the halftone preview prints on its own BG color
+  if (els.useHalftone?.checked && state.mapSpec) img = halftonePreview();
+  const cvd = els.cvdMode?.value;
+  if (cvd && CVD?.simulateCvd) img = CVD.simulateCvd(img, cvd);
+  if (els.showTraps?.checked && state.traps) img = Trap.trapOverlay(img, state.traps.masks);
+  els.outCanvas.width  = img.width;
+  els.outCanvas.height = img.height;
+  els.outCanvas.getContext('2d').putImageData(img, 0, 0);
+}
+
+// Screened `mapped`, redone only when the mapping or the screen settings change
+// (substrate edits and CVD / trap toggles reuse it)
+function halftonePreview() {
+  const opts = halftoneOpts(state.mapSpec.inks);
+  const key = JSON.stringify(opts);
+  const hit = state.halftone;
+  if (hit?.src === state.mapped && hit.key === key) return hit.img;
+  const img = Halftone.halftone(state.mapped, state.mapSpec.inks, opts);
+  state.halftone = { src: state.mapped, key, img };
+  return img;
+}
+
+// Halftone preview settings for `inks` (in mapping order)
+function halftoneOpts(inks) {
+  return {
+    screens: inks.map((p, k) => screenFor(rgbToHex(p.r, p.g, p.b).toUpperCase(), k)),
+    cell: clamp(els.dotCell?.value | 0 || 6, 3, 64),
+    bg: hexToRgb(els.dotBg?.value || '') || { r: 255, g: 255, b: 255 },
+    jitter: !!els.dotJitter?.checked,
+    gain: clamp((+els.dotGain?.value || 0) / 100, 0, 0.4),
+    compensate: !!els.dotGainComp?.checked,
+  };
+}
+
+// Trap masks of `img` mapped with `inks`, from the Trap controls and pair
+// overrides; null when trapping is off. A width in mm is converted at this
+// image's width over the print width (preview and full-res agree).
+function computeTraps(img, inks) {
+  if (!els.useTrap?.checked || !img || !inks?.length) return null;
+  const mm = els.trapUnit?.value !== 'px';
+  const widthMm = printJob().widthMm;
+  // a trap narrower than a pixel would vanish at this size: it gets at least 1 px
+  const toPx = (v) => {
+    const px = mm ? (widthMm > 0 ? v * img.width / widthMm : 0) : v;
+    return px > 0 ? Math.max(1, px) : 0;
+  };
+  const pos = new Map(inks.map((p, i) => [rgbToHex(p.r, p.g, p.b).toUpperCase(), i]));
+  const pairs = state.trapPairs.map(p => ({
+    a: pos.get(p.a), b: pos.get(p.b),
+    width: p.width === '' || p.width == null ? null : toPx(+p.width),
+    spread: p.spread,
+  }));
+  const index = Separations.inkIndexMap(img, inks);
+  const stats = {};
+  const masks = Trap.trapMasks(index, img.width, img.height, inks, {
+    width: toPx(Math.max(0, +els.trapWidth?.value || 0)), pairs, stats,
+  });
+  return { index, masks, pixels: stats.pixels };
+}
+
+function trapsChanged() {
+  state.traps = computeTraps(state.mapped, state.mapSpec?.inks);
+  renderOutput();
+  persistPrefs();
+}
+
+// -----------------------------------------------------------------------------
+// Ink coverage & consumption (Coverage.*)
+// -----------------------------------------------------------------------------
+function updateCoverage(idx) {
+  const inks = idx.map(i => state.palette[i]).filter(Boolean);
+  if (!state.mapped || !inks.length) { state.coverage = null; renderCoverage(); return; }
+  // Rule patterns are rendered as real ink pixels, so they count pixel by pixel
+  const { coverage, unprinted } = Coverage.inkCoverage(state.mapped, inks);
+  state.coverage = { hexes: inks.map(p => rgbToHex(p.r, p.g, p.b).toUpperCase()), coverage, unprinted };
+  renderCoverage();
+}
+
+// Print size / deposit from the Export inputs; empty H follows the image
+// aspect, empty deposit comes from the mesh count
+function printJob() {
+  const widthMm = Math.max(0, +els.printW?.value || 0);
+  const img = state.mapped;
+  const aspect = img?.width ? img.height / img.width : 1;
+  const heightMm = +els.printH?.value || Math.round(widthMm * aspect);
+  const mesh = +els.meshCount?.value || 0;
+  const depositUm = +els.deposit?.value || Math.round(Coverage.depositForMesh(mesh));
+  const prints = Math.max(1, els.runQty?.value | 0 || 1);
+  return { widthMm, heightMm, mesh, depositUm, prints };
+}
+
+// Coverage + volumes per ink, for the table and the report
+function inkUsage() {
+  const cov = state.coverage;
+  if (!cov) return null;
+  const job = printJob();
+  const vols = Coverage.inkVolumes(cov.coverage, job);
+  return {
+    job,
+    unprinted: cov.unprinted,
+    inks: cov.hexes.map((hex, i) => ({ hex, coverage: cov.coverage[i], ...vols[i] })),
+  };
+}
+
+function renderCoverage() {
+  const job = printJob();
+  if (els.printH) els.printH.placeholder = `${job.heightMm} (image)`;
+  if (els.deposit) els.deposit.placeholder = `${Math.round(Coverage.depositForMesh(job.mesh))} (mesh)`;
+  const tbody = els.coverageTable && $('tbody', els.coverageTable);
+  if (!tbody) return;
+  tbody.innerHTML = '';
+  $('tfoot', els.coverageTable)?.remove();
+  const usage = inkUsage();
+  if (!usage) {
+    const tr = document.createElement('tr');
+    const td = document.createElement('td');
+    td.colSpan = 4;
+    td.textContent = 'Apply mapping to measure coverage.';
+    tr.append(td);
+    tbody.append(tr);
+    return;
+  }
+  const mode = (els.colorCodeMode?.value || 'pms').toLowerCase();
+  const row = (cells) => {
+    const tr = document.createElement('tr');
+    cells.forEach(c => {
+      const td = document.createElement('td');
+      if (c instanceof Node) td.append(c); else td.textContent = c;
+      tr.append(td);
+    });
+    return tr;
+  };
+  let total = 0;
+  usage.inks.forEach(u => {
+    total += u.perRun;
+    const name = document.createElement('span');
+    name.className = 'mix-row';
+    const sw = document.createElement('span');
+    sw.className = 'mix-sw';
+    sw.style.background = u.hex;
+    name.append(sw, formatColor(u.hex, mode));
+    tbody.append(row([name, `${(u.coverage * 100).toFixed(1)}%`, u.perPrint.toFixed(2), u.perRun.toFixed(0)]));
+  });
+  const tfoot = document.createElement('tfoot');
+  tfoot.append(
+    row(['Unprinted', `${(usage.unprinted * 100).toFixed(1)}%`, '', '']),
+    row([`Total (${job.widthMm}×${job.heightMm} mm, ${job.depositUm} µm, ${job.prints} prints)`, '', '', total.toFixed(0)]),
+  );
+  els.coverageTable.append(tfoot);
+}
+
+// Flag restricted inks that become indistinguishable under each deficiency
+function checkInkConfusion() {
+  if (!CVD?.findConfusableInks || !els.cvdWarnings) return;
+  const idx   = getRestrictedInkIndices({ restrictedList: els.restrictedList });
+  const inks  = idx.map(i => state.palette[i]).filter(Boolean).map(p => [p.r, p.g, p.b]);
+  const threshold = Number(els.cvdThreshold?.value) || 8;
+  const pairs = CVD.findConfusableInks(inks, { threshold });
+  const names = Object.fromEntries(CVD.CVD_TYPES.map(t => [t.id, t.label]));
+  const mode  = els.colorCodeMode?.value || 'pms';
+  const inkLabel = (k) => formatColor(rgbToHex(...inks[k]), mode);
+
+  els.cvdWarnings.innerHTML = '';
+  if (!pairs.length) {
+    const ok = document.createElement('div');
+    ok.className = 'ok';
+    ok.textContent = `No ink pairs below ΔE ${threshold} under protanopia, deuteranopia or tritanopia.`;
+    els.cvdWarnings.append(ok);
+    info('CVD check passed.');
+    return;
+  }
+  pairs.forEach(p => {
+    const row = document.createElement('div');
+    row.className = 'mix-row';
+    [p.a, p.b].forEach(k => {
+      const sw = document.createElement('span');
+      sw.className = 'mix-sw';
+      sw.style.background = rgbToHex(...CVD.simulateCvdRgb(...inks[k], p.type));
+      sw.title = rgbToHex(...inks[k]).toUpperCase();
+      row.append(sw);
+    });
+    const label = document.createElement('span');
+    label.className = 'mono';
+    label.textContent = `${inkLabel(p.a)} / ${inkLabel(p.b)} — ${names[p.type]} ΔE ${p.dE.toFixed(1)} (normal ${p.dE0.toFixed(1)})`;
+    row.append(label);
+    els.cvdWarnings.append(row);
+  });
+  info(`CVD check: ${pairs.length} confusable pair(s).`);
+}
+
 // -----------------------------------------------------------------------------
 // Exports
 // -----------------------------------------------------------------------------
@@ -486,23 +1759,110 @@ async function exportPng() {
 
   try {
     const scale = clamp(els.exportScale?.value|0 || 1, 1, 8);
-    const imgData = getExportImageData();
+    const imgData = (await fullResImageData()) || getExportImageData();
     if (!imgData) { info('Nothing to export.'); return; }
 
-    const blob = PNG.exportPNG(imgData, scale);
-    if (Files?.saveBlob) {
-      await Files.saveBlob(blob, 'palette-mapper.png');
-    } else {
-      const url = URL.createObjectURL(blob);
-      const a = Object.assign(document.createElement('a'), { href:url, download:'palette-mapper.png' });
-      document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
-    }
-    info('PNG exported.');
+    const blob = await PNG.exportPNG(imgData, scale);
+    await saveBlobAs(blob, 'palette-mapper.png');
+    info(`PNG exported (${imgData.width * scale}×${imgData.height * scale}).`);
   } catch (e) {
+    if (e?.name === 'AbortError') { info('Export cancelled.'); return; }
     console.warn(e); info('PNG export failed.');
   }
 }
 
+// One film-positive PNG per ink of the last mapping: trapped when Trap is on,
+// full resolution when that is on. Plates are built and saved one at a time.
+async function exportSeparations() {
+  const spec = state.mapSpec;
+  if (!state.mapped || !spec) { info('Apply mapping first.'); return; }
+  try {
+    const img = await fullResImageData();
+    const traps = computeTraps(img, spec.inks);
+    const index = traps?.index || Separations.inkIndexMap(img, spec.inks);
+    const mode = els.colorCodeMode?.value || 'pms';
+    for (let k = 0; k < spec.inks.length; k++) {
+      const p = spec.inks[k];
+      const plate = Separations.separationPlate(index, img.width, img.height, k, { trap: traps?.masks[k] });
+      const blob = await PNG.exportPNG(plate, 1);
+      const label = formatColor(rgbToHex(p.r, p.g, p.b), mode).replace(/[^\w-]+/g, '-').replace(/^-|-$/g, '');
+      await saveBlobAs(blob, `separation-${k + 1}-${label}.png`);
+    }
+    info(`Exported ${spec.inks.length} separation${spec.inks.length > 1 ? 's' : ''} (${img.width}×${img.height})` +
+      (traps ? `, ${traps.pixels} trap pixels.` : '.'));
+  } catch (e) {
+    if (e?.name === 'AbortError') { info('Export cancelled.'); return; }
+    console.warn(e); info('Separations export failed.');
+  }
+}
+
+// Save through Files when available, else a temporary download link
+async function saveBlobAs(blob, name) {
+  if (Files?.saveBlob) { await Files.saveBlob(blob, name); return; }
+  const url = URL.createObjectURL(blob);
+  const a = Object.assign(document.createElement('a'), { href:url, download:name });
+  document.body.appendChild(a); a.click(); a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1500);
+}
+
+// Active inks as a swatch file (ASE / GPL / ACO / CSS / tokens)
+async function exportPaletteFile() {
+  const fmt = Swatches.PALETTE_FORMATS.find(f => f.id === els.paletteFormat?.value) || Swatches.PALETTE_FORMATS[0];
+  const inks = [...state.restricted].sort((a,b)=>a-b).map(i => state.palette[i]).filter(Boolean);
+  if (!inks.length) { info('No active inks to export.'); return; }
+
+  try {
+    // Unsnapped inks carry their nearest library label, as in the code list
+    const pms = (els.colorCodeMode?.value || 'pms') === 'pms';
+    if (pms) await ensureLibraries();
+    const swatches = inks.map(p => {
+      const hex = rgbToHex(p.r, p.g, p.b).toUpperCase();
+      const name = p.name || (pms ? Libraries.nearestInk(hex).name : '');
+      return { hex, ...(name && name !== '—' ? { name } : {}) };
+    });
+    const blob = Swatches.exportPalette(swatches, fmt.id, { title: 'Palette Mapper inks' });
+    const name = `palette-inks.${fmt.ext}`;
+    await saveBlobAs(blob, name);
+    info(`Exported ${swatches.length} inks as .${fmt.ext}.`);
+  } catch (e) {
+    console.warn(e); info('Palette export failed.');
+  }
+}
+
+async function importPaletteFile(e) {
+  const file = e.target.files?.[0]; if (!file) return;
+  try {
+    const swatches = await Swatches.importPalette(file);
+    if (!swatches.length) { info('No colors found in that file.'); return; }
+    // Locked inks stay (first, as with auto-extract); inks already in the
+    // palette keep their tolerance
+    const hexOf = (p) => rgbToHex(p.r, p.g, p.b).toUpperCase();
+    const lockedIdx = state.palette.flatMap((p, i) => p.locked ? [i] : []);
+    const locked = lockedIdx.map(i => state.palette[i]);
+    const known = new Map(state.palette.map(p => [hexOf(p), p]));
+    const seen = new Set(locked.map(hexOf));
+    const imported = swatches.flatMap(s => {
+      const { r, g, b } = hexToRgb(s.hex);
+      const hex = rgbToHex(r, g, b).toUpperCase();
+      if (seen.has(hex)) return [];
+      seen.add(hex);
+      return [{ r, g, b, tol: known.get(hex)?.tol ?? DEFAULT_TOL, ...(s.name ? { name: s.name } : {}) }];
+    });
+    state.restricted = new Set([...locked, ...imported].flatMap((_, i) =>
+      i >= locked.length || state.restricted.has(lockedIdx[i]) ? [i] : []));
+    state.palette = [...locked, ...imported];
+    state.paletteSource = null;
+    renderAll();
+    persistPrefs();
+    showToast(`Imported ${imported.length} colors from ${file.name}` +
+      (locked.length ? `; kept ${locked.length} locked ink${locked.length > 1 ? 's' : ''}.` : '.'));
+  } catch (err) {
+    console.warn(err); info('Palette import failed.');
+  } finally {
+    e.target.value = '';
+  }
+}
+
 async function exportSvg() {
   if (!SVG?.exportSVG) { info('SVG export not available.'); return; }
 
@@ -517,10 +1877,7 @@ async function exportSvg() {
     if (Files?.saveText) {
       await Files.saveText(svgText, 'palette-mapper.svg', 'image/svg+xml');
     } else {
-      const blob = new Blob([svgText], { type:'image/svg+xml' });
-      const url = URL.createObjectURL(blob);
-      const a = Object.assign(document.createElement('a'), { href:url, download:'palette-mapper.svg' });
-      document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+      await saveBlobAs(new Blob([svgText], { type:'image/svg+xml' }), 'palette-mapper.svg');
     }
     info('SVG exported.');
   } catch (e) {
@@ -532,19 +1889,13 @@ async function exportReport() {
   if (!Report?.buildPrinterReport) { info('Report module not available.'); return; }
 
   try {
-    // if your report builder relies on PMS json, load once:
-    if (Report?.loadPmsJson && !exportReport._pmsLoaded) {
-      exportReport._pmsLoaded = true;
-      try { await Report.loadPmsJson('./assets/pms_solid_coated.json'); } catch {}
-    }
+    await ensureLibraries();
+    syncReportState();
     const txt = Report.buildPrinterReport(); // uses repo’s internal state logic
     if (Files?.saveText) {
       await Files.saveText(txt, 'palette-report.txt', 'text/plain');
     } else {
-      const blob = new Blob([txt], { type:'text/plain' });
-      const url  = URL.createObjectURL(blob);
-      const a = Object.assign(document.createElement('a'), { href:url, download:'palette-report.txt' });
-      document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+      await saveBlobAs(new Blob([txt], { type:'text/plain' }), 'palette-report.txt');
     }
     info('Report exported.');
   } catch (e) {
@@ -552,6 +1903,19 @@ async function exportReport() {
   }
 }
 
+// The report and replacement rules read the shared State; mirror the app's
+// inks/options into it
+function syncReportState() {
+  const idx = [...state.restricted].sort((a,b)=>a-b);
+  setOriginalPalette(state.palette.map(p => [p.r, p.g, p.b]));
+  setRestrictedPalette(idx.map(i => state.palette[i]).filter(Boolean).map(p => [p.r, p.g, p.b]));
+  State.codeMode = (els.colorCodeMode?.value || 'pms').toLowerCase();
+  const sub = substrateRgb();
+  setOption('substrate', sub ? rgbToHex(sub.r, sub.g, sub.b).toUpperCase() : null);
+  setOption('knockout', !!(sub && els.knockout?.checked));
+  State.inkUsage = inkUsage();
+}
+
 // -----------------------------------------------------------------------------
 // Projects
 // -----------------------------------------------------------------------------
@@ -604,10 +1968,7 @@ async function exportProjectJson() {
     if (Files?.saveText) {
       await Files.saveText(json, 'palette-project.json', 'application/json');
     } else {
-      const blob = new Blob([json], { type:'application/json' });
-      const url  = URL.createObjectURL(blob);
-      const a = Object.assign(document.createElement('a'), { href:url, download:'palette-project.json' });
-      document.body.appendChild(a); a.click(); a.remove(); URL.revokeObjectURL(url);
+      await saveBlobAs(new Blob([json], { type:'application/json' }), 'palette-project.json');
     }
     showToast('Project JSON exported.');
   } catch (e) {
@@ -646,26 +2007,199 @@ async function deleteSelectedProject() {
 function serializeProject() {
   return {
     palette: state.palette,
+    tolUnit: TOL_UNIT,
     restricted: [...state.restricted],
     rules: state.rules,
     weights: {
       chroma: (els.wChroma?.value|0 || 100)/100,
       luma:   (els.wLight ?.value|0 || 100)/100,
-    }
+    },
+    metric: els.deMetric?.value || 'ciede2000',
+    space:  workSpace(),
+    mixModel: mixModel(),
+    paletteSource: state.paletteSource,
+    extractAlgo: els.extractAlgo?.value || 'kmeans',
+    kMode: els.kMode?.value || 'fixed',
+    paletteFormat: els.paletteFormat?.value || 'ase',
+    extractFrom: els.extractFrom?.value || 'image',
+    weighting: els.weighting?.value || 'none',
+    mergeDE: mergeDE(),
+    printJob: {
+      widthMm:   els.printW?.value || '',
+      heightMm:  els.printH?.value || '',
+      mesh:      els.meshCount?.value || '',
+      depositUm: els.deposit?.value || '',
+      prints:    els.runQty?.value || '',
+    },
+    inkLibrary: State.activeLibrary,
+    snapLibrary: !!els.snapLibrary?.checked,
+    unmatched: els.unmatchedMode?.value || 'nearest',
+    highlight: els.highlightColor?.value || '#FF00FF',
+    regionFeather: +els.regionFeather?.value || 0,
+    despeckle: {
+      on:       !!els.despeckle?.checked,
+      min:      +els.minIsland?.value || 0,
+      unit:     els.minIslandUnit?.value || 'px',
+      majority: !!els.majorityFilter?.checked,
+      protect:  !!els.protectDither?.checked,
+    },
+    keepFullRes: !!State.opts.keepFullRes,
+    halftone: {
+      on:         !!els.useHalftone?.checked,
+      cell:       els.dotCell?.value | 0 || 6,
+      bg:         els.dotBg?.value || '#FFFFFF',
+      jitter:     !!els.dotJitter?.checked,
+      gain:       +els.dotGain?.value || 0,
+      compensate: !!els.dotGainComp?.checked,
+      screens:    state.screens,
+    },
+    trap: {
+      on:    !!els.useTrap?.checked,
+      width: +els.trapWidth?.value || 0,
+      unit:  els.trapUnit?.value || 'mm',
+      show:  !!els.showTraps?.checked,
+      pairs: state.trapPairs,
+    },
+    dither: {
+      on:         !!els.useDither?.checked,
+      method:     els.ditherMethod?.value || 'floyd-steinberg',
+      serpentine: !!els.serpentine?.checked,
+      strength:   (els.ditherStrength?.value ?? 100) | 0,
+      space:      els.ditherSpace?.value || 'srgb',
+    },
+    substrate: {
+      on:       !!els.useSubstrate?.checked,
+      hex:      els.substrateColor?.value || '#FFFFFF',
+      knockout: !!els.knockout?.checked,
+    },
   };
 }
 
 function hydrateFromProject(data) {
   if (Array.isArray(data.palette)) {
+    const legacyTol = data.tolUnit !== TOL_UNIT;
     state.palette = data.palette.map(p => ({
-      r: p.r|0, g: p.g|0, b: p.b|0, tol: (p.tol ?? DEFAULT_TOL)|0
+      r: p.r|0, g: p.g|0, b: p.b|0, tol: legacyTol ? DEFAULT_TOL : (p.tol ?? DEFAULT_TOL)|0,
+      ...(typeof p.share === 'number' ? { share: p.share } : {}),
+      ...(p.locked ? { locked: true } : {}),
+      ...(p.name ? { name: String(p.name) } : {}),
     }));
   }
   if (Array.isArray(data.restricted)) {
     state.restricted = new Set(data.restricted.map(i => i|0));
   }
   if (Array.isArray(data.rules)) {
-    state.rules = data.rules;
+    // older saves list rule inks by palette index
+    state.rules = data.rules.map(r => ({
+      ...r,
+      inks: (r.inks || []).map(i => typeof i === 'number'
+        ? (state.palette[i] ? inkHex(state.palette[i]) : null)
+        : (hexToRgb(String(i)) ? inkHex(hexToRgb(String(i))) : null)).filter(Boolean),
+    }));
+  }
+  if (typeof data.metric === 'string' && els.deMetric) {
+    els.deMetric.value = data.metric;
+  }
+  if (typeof data.space === 'string' && els.workSpace) {
+    els.workSpace.value = data.space;
+  }
+  if ('paletteSource' in data) {
+    state.paletteSource = data.paletteSource || null;
+  }
+  if (typeof data.extractAlgo === 'string' && els.extractAlgo) {
+    els.extractAlgo.value = data.extractAlgo;
+  }
+  if (typeof data.kMode === 'string' && els.kMode) {
+    els.kMode.value = data.kMode;
+  }
+  if (typeof data.paletteFormat === 'string' && els.paletteFormat) {
+    els.paletteFormat.value = data.paletteFormat;
+  }
+  if (typeof data.extractFrom === 'string' && els.extractFrom) {
+    els.extractFrom.value = data.extractFrom;
+  }
+  if (typeof data.weighting === 'string' && els.weighting) {
+    els.weighting.value = data.weighting;
+  }
+  if (typeof data.mergeDE === 'number' && els.mergeDE) {
+    els.mergeDE.value = String(data.mergeDE);
+  }
+  if (data.printJob && typeof data.printJob === 'object') {
+    const j = data.printJob;
+    if (els.printW)    els.printW.value    = j.widthMm || els.printW.value;
+    if (els.printH)    els.printH.value    = j.heightMm || '';
+    if (els.meshCount) els.meshCount.value = j.mesh || els.meshCount.value;
+    if (els.deposit)   els.deposit.value   = j.depositUm || '';
+    if (els.runQty)    els.runQty.value    = j.prints || els.runQty.value;
+  }
+  if (typeof data.inkLibrary === 'string') {
+    // Set directly: the library may still be loading, and the saved palette
+    // was already snapped to it
+    State.activeLibrary = data.inkLibrary;
+    renderInkLibraries();
+  }
+  if (typeof data.snapLibrary === 'boolean' && els.snapLibrary) {
+    els.snapLibrary.checked = data.snapLibrary;
+  }
+  if (typeof data.mixModel === 'string' && els.mixModel) {
+    els.mixModel.value = data.mixModel;
+  }
+  if (data.dither && typeof data.dither === 'object') {
+    const d = data.dither;
+    if (els.useDither)      els.useDither.checked = !!d.on;
+    // saved before ordered maps joined the list, the method was `kernel`
+    const method = d.method ?? d.kernel;
+    if (els.ditherMethod && method) els.ditherMethod.value = method;
+    if (els.serpentine)     els.serpentine.checked = !!d.serpentine;
+    if (els.ditherStrength && Number.isFinite(d.strength)) els.ditherStrength.value = String(d.strength);
+    if (els.ditherSpace && d.space) els.ditherSpace.value = d.space;
+  }
+  if (typeof data.regionFeather === 'number' && els.regionFeather) {
+    els.regionFeather.value = String(data.regionFeather);
+  }
+  if (data.despeckle && typeof data.despeckle === 'object') {
+    const d = data.despeckle;
+    if (els.despeckle)      els.despeckle.checked = !!d.on;
+    if (els.minIsland && Number.isFinite(d.min)) els.minIsland.value = String(d.min);
+    if (els.minIslandUnit && d.unit) els.minIslandUnit.value = d.unit;
+    if (els.majorityFilter) els.majorityFilter.checked = !!d.majority;
+    if (els.protectDither)  els.protectDither.checked = d.protect !== false;
+  }
+  if (data.halftone && typeof data.halftone === 'object') {
+    const h = data.halftone;
+    if (els.useHalftone) els.useHalftone.checked = !!h.on;
+    if (els.dotCell && Number.isFinite(h.cell)) els.dotCell.value = String(h.cell);
+    if (els.dotBg && typeof h.bg === 'string') els.dotBg.value = h.bg;
+    if (els.dotJitter)   els.dotJitter.checked = !!h.jitter;
+    if (els.dotGain && Number.isFinite(h.gain)) els.dotGain.value = String(h.gain);
+    if (els.dotGainComp) els.dotGainComp.checked = !!h.compensate;
+    if (h.screens && typeof h.screens === 'object') state.screens = { ...h.screens };
+  }
+  if (data.trap && typeof data.trap === 'object') {
+    const t = data.trap;
+    if (els.useTrap)   els.useTrap.checked = !!t.on;
+    if (els.trapWidth && Number.isFinite(t.width)) els.trapWidth.value = String(t.width);
+    if (els.trapUnit && t.unit) els.trapUnit.value = t.unit;
+    if (els.showTraps) els.showTraps.checked = !!t.show;
+    if (Array.isArray(t.pairs)) {
+      state.trapPairs = t.pairs.filter(p => p && typeof p.a === 'string' && typeof p.b === 'string')
+        .map(p => ({ a: p.a, b: p.b, width: Number.isFinite(p.width) ? p.width : '', spread: p.spread || 'auto' }));
+    }
+  }
+  if (typeof data.keepFullRes === 'boolean') {
+    setOption('keepFullRes', data.keepFullRes);
+    if (els.keepFullRes) els.keepFullRes.checked = data.keepFullRes;
+  }
+  if (typeof data.unmatched === 'string' && els.unmatchedMode) {
+    els.unmatchedMode.value = data.unmatched;
+  }
+  if (typeof data.highlight === 'string' && els.highlightColor && hexToRgb(data.highlight)) {
+    els.highlightColor.value = data.highlight;
+  }
+  if (data.substrate && typeof data.substrate === 'object') {
+    if (els.useSubstrate)   els.useSubstrate.checked = !!data.substrate.on;
+    if (els.substrateColor && hexToRgb(data.substrate.hex)) els.substrateColor.value = data.substrate.hex;
+    if (els.knockout)       els.knockout.checked = !!data.substrate.knockout;
   }
 }
 
@@ -711,6 +2245,16 @@ async function loadBlobToCanvas(blob, canvas) {
     img.onload = () => {
       drawToCanvas(img, canvas, Number(els.maxW?.value || 1400));
       URL.revokeObjectURL(url);
+      if (canvas === els.srcCanvas) {
+        // Editor + lasso read the source through State; old region masks no longer fit
+        Object.assign(State.original, { bitmap: img, width: img.naturalWidth, height: img.naturalHeight });
+        // the last mapping was of the previous image: no full-res pass for it
+        cancelFullRes();
+        state.mapSpec = null;
+        state.mappedFull = null;
+        setRegions([]);
+        bus.emit('image:loaded', State.original);
+      }
     };
     img.onerror = () => { URL.revokeObjectURL(url); info('Could not load image.'); };
     img.src = url;
@@ -742,6 +2286,7 @@ function clearCanvas(canvas) {
 }
 
 function getExportImageData() {
+  if (state.mapped) return state.mapped;
   const c = els.outCanvas && els.outCanvas.width > 1 ? els.outCanvas : els.srcCanvas;
   if (!c) return null;
   const ctx = c.getContext('2d', { willReadFrequently: true });
@@ -750,13 +2295,49 @@ function getExportImageData() {
 
 function formatColor(hex, mode) {
   if (mode === 'hex') return hex.toUpperCase();
-  // If your report module provides a PMS converter, use it; else fallback:
-  if (Report?.toPMS) {
-    try { return Report.toPMS(hex) || hex.toUpperCase(); } catch {}
-  }
+  // Nearest ink in the active library; HEX until one has loaded
+  const p = Report?.nearestPms?.(hex);
+  if (p && p.name !== '—') return `${p.name} (${p.hex})`;
   return hex.toUpperCase();
 }
 
+// ΔE metric + slider weights, shared by mapping and suggestions
+function metricOpts() {
+  return {
+    metric: els.deMetric?.value || 'ciede2000',
+    wC: (els.wChroma?.value|0 || 100)/100,
+    wL: (els.wLight ?.value|0 || 100)/100,
+  };
+}
+
+// Substrate {r,g,b} when substrate simulation is on, else null (white paper)
+function substrateRgb() {
+  if (!els.useSubstrate?.checked) return null;
+  return hexToRgb(els.substrateColor?.value || '#FFFFFF');
+}
+
+// Mixing model for Smart Mix predictions (see MIX_MODELS in color/mixing.js)
+function mixModel() {
+  return els.mixModel?.value || 'optical';
+}
+
+// Working space for palette extraction: 'rgb' | 'oklab'
+function workSpace() {
+  return els.workSpace?.value === 'oklab' ? 'oklab' : 'rgb';
+}
+
+// null = fixed K, else the auto-K criterion
+function kMode() {
+  const v = els.kMode?.value;
+  return v === 'silhouette' || v === 'elbow' ? v : null;
+}
+
+// ΔE00 below which extracted centers are merged (0 = keep all)
+function mergeDE() {
+  const v = parseFloat(els.mergeDE?.value);
+  return Number.isFinite(v) ? clamp(v, 0, 20) : 0;
+}
+
 function clamp(v, lo, hi){ return Math.max(lo, Math.min(hi, v)); }
 
 function info(msg) {
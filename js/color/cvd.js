@@ -0,0 +1,84 @@
+// js/color/cvd.js
+// Color-vision-deficiency simulation (Machado, Oliveira & Fernandes 2009,
+// severity 1.0) and a check for inks that collapse together under it.
+
+import { srgbToLinear, linearToSrgb, rgbToLab } from './space.js';
+import { deltaE2000 } from './distance.js';
+import { clamp } from '../utils/canvas.js';
+
+export const CVD_TYPES = [
+  { id: 'protanopia',   label: 'Protanopia' },
+  { id: 'deuteranopia', label: 'Deuteranopia' },
+  { id: 'tritanopia',   label: 'Tritanopia' },
+];
+
+// Matrices act on linear-light RGB
+const MATRICES = {
+  protanopia: [
+    [ 0.152286,  1.052583, -0.204868],
+    [ 0.114503,  0.786281,  0.099216],
+    [-0.003882, -0.048116,  1.051998],
+  ],
+  deuteranopia: [
+    [ 0.367322,  0.860646, -0.227968],
+    [ 0.280085,  0.672501,  0.047413],
+    [-0.011820,  0.042940,  0.968881],
+  ],
+  tritanopia: [
+    [ 1.255528, -0.076749, -0.178779],
+    [-0.078411,  0.930809,  0.147602],
+    [ 0.004733,  0.691367,  0.303900],
+  ],
+};
+
+const LIN = new Float32Array(256).map((_, i) => srgbToLinear(i));
+
+/** Simulate one color. Returns [r,g,b] 0..255; unknown types return the input. */
+export function simulateCvdRgb(r, g, b, type) {
+  const M = MATRICES[type];
+  if (!M) return [r, g, b];
+  const rl = LIN[r | 0], gl = LIN[g | 0], bl = LIN[b | 0];
+  return M.map(row => Math.round(clamp(linearToSrgb(row[0] * rl + row[1] * gl + row[2] * bl), 0, 255)));
+}
+
+/** Simulate a whole image. Returns a new ImageData (alpha copied). */
+export function simulateCvd(imgData, type) {
+  const w = imgData.width, h = imgData.height;
+  const out = new ImageData(w, h);
+  out.data.set(imgData.data);
+  const M = MATRICES[type];
+  if (!M) return out;
+
+  // Mapped output has only a handful of distinct colors: cache per RGB
+  const cache = new Map();
+  const d = out.data;
+  for (let i = 0; i < d.length; i += 4) {
+    const key = (d[i] << 16) | (d[i + 1] << 8) | d[i + 2];
+    let c = cache.get(key);
+    if (!c) { c = simulateCvdRgb(d[i], d[i + 1], d[i + 2], type); cache.set(key, c); }
+    d[i] = c[0]; d[i + 1] = c[1]; d[i + 2] = c[2];
+  }
+  return out;
+}
+
+/**
+ * Find ink pairs that become hard to tell apart under each deficiency.
+ * @param {number[][]} inks - [[r,g,b], ...]
+ * @param {{threshold?:number, types?:string[]}} [opts] - CIEDE2000 threshold (default 8)
+ * @returns {{type:string, a:number, b:number, dE:number, dE0:number}[]}
+ *   a/b index into inks, dE0 is the normal-vision difference; sorted by dE
+ */
+export function findConfusableInks(inks, { threshold = 8, types = CVD_TYPES.map(t => t.id) } = {}) {
+  const normal = inks.map(c => rgbToLab(c[0], c[1], c[2]));
+  const out = [];
+  for (const type of types) {
+    const labs = inks.map(c => rgbToLab(...simulateCvdRgb(c[0], c[1], c[2], type)));
+    for (let a = 0; a < labs.length; a++) {
+      for (let b = a + 1; b < labs.length; b++) {
+        const dE = deltaE2000(labs[a], labs[b]);
+        if (dE < threshold) out.push({ type, a, b, dE, dE0: deltaE2000(normal[a], normal[b]) });
+      }
+    }
+  }
+  return out.sort((p, q) => p.dE - q.dE);
+}
@@ -0,0 +1,209 @@
+// js/color/distance.js
+// Perceptual color-difference metrics: CIE76, CIE94, CIEDE2000, CAM16-UCS and OKLab.
+//
+// The mapper compares every pixel against every ink, so each metric is split
+// into a converter (RGB -> metric space, done once per color) and a distance
+// on the converted points. Weights follow the Mapping sliders: wL scales the
+// lightness term, wC the chroma term (kL = 1/wL, kC = 1/wC in CIE terms).
+
+import { rgbToLab, rgbToXyz, rgbToOklab } from './space.js';
+
+const DEG = 180 / Math.PI;
+const RAD = Math.PI / 180;
+
+export const METRICS = [
+  { id: 'cie76',     label: 'CIE76 (Lab)' },
+  { id: 'cie94',     label: 'CIE94' },
+  { id: 'ciede2000', label: 'CIEDE2000' },
+  { id: 'cam16ucs',  label: 'CAM16-UCS' },
+  { id: 'oklab',     label: 'OKLab' },
+];
+export const DEFAULT_METRIC = 'ciede2000';
+
+// ---------- Lab-based ΔE ----------
+/** CIE76, split into L/C/H terms so the weights mean the same as in the other metrics. */
+export function deltaE76(lab1, lab2, kL = 1, kC = 1, kH = 1) {
+  const dL = lab1[0] - lab2[0];
+  const C1 = Math.hypot(lab1[1], lab1[2]);
+  const C2 = Math.hypot(lab2[1], lab2[2]);
+  const dC = C1 - C2;
+  const da = lab1[1] - lab2[1], db = lab1[2] - lab2[2];
+  const dH2 = Math.max(0, da * da + db * db - dC * dC);
+  const tL = dL / kL, tC = dC / kC;
+  return Math.sqrt(tL * tL + tC * tC + dH2 / (kH * kH));
+}
+
+/** CIE94 (graphic arts constants). lab1 is the reference color. */
+export function deltaE94(lab1, lab2, kL = 1, kC = 1, kH = 1) {
+  const dL = lab1[0] - lab2[0];
+  const C1 = Math.hypot(lab1[1], lab1[2]);
+  const C2 = Math.hypot(lab2[1], lab2[2]);
+  const dC = C1 - C2;
+  const da = lab1[1] - lab2[1], db = lab1[2] - lab2[2];
+  const dH2 = Math.max(0, da * da + db * db - dC * dC);
+  const SC = 1 + 0.045 * C1;
+  const SH = 1 + 0.015 * C1;
+  const tL = dL / kL, tC = dC / (kC * SC);
+  return Math.sqrt(tL * tL + tC * tC + dH2 / (kH * kH * SH * SH));
+}
+
+/** CIEDE2000 (Sharma, Wu & Dalal 2005). */
+export function deltaE2000(lab1, lab2, kL = 1, kC = 1, kH = 1) {
+  const [L1, a1, b1] = lab1;
+  const [L2, a2, b2] = lab2;
+
+  const C1 = Math.hypot(a1, b1), C2 = Math.hypot(a2, b2);
+  const Cbar = (C1 + C2) / 2;
+  const Cbar7 = Math.pow(Cbar, 7);
+  const G = 0.5 * (1 - Math.sqrt(Cbar7 / (Cbar7 + 6103515625))); // 25^7
+
+  const a1p = (1 + G) * a1, a2p = (1 + G) * a2;
+  const C1p = Math.hypot(a1p, b1), C2p = Math.hypot(a2p, b2);
+  const h1p = hueDeg(b1, a1p), h2p = hueDeg(b2, a2p);
+
+  const dLp = L2 - L1;
+  const dCp = C2p - C1p;
+  let dhp = 0;
+  if (C1p * C2p !== 0) {
+    dhp = h2p - h1p;
+    if (dhp > 180) dhp -= 360;
+    else if (dhp < -180) dhp += 360;
+  }
+  const dHp = 2 * Math.sqrt(C1p * C2p) * Math.sin(dhp * RAD / 2);
+
+  const Lbp = (L1 + L2) / 2;
+  const Cbp = (C1p + C2p) / 2;
+  let hbp = h1p + h2p;
+  if (C1p * C2p !== 0) {
+    if (Math.abs(h1p - h2p) <= 180) hbp /= 2;
+    else hbp = (hbp < 360) ? (hbp + 360) / 2 : (hbp - 360) / 2;
+  }
+
+  const T = 1
+    - 0.17 * Math.cos((hbp - 30) * RAD)
+    + 0.24 * Math.cos((2 * hbp) * RAD)
+    + 0.32 * Math.cos((3 * hbp + 6) * RAD)
+    - 0.20 * Math.cos((4 * hbp - 63) * RAD);
+  const dTheta = 30 * Math.exp(-Math.pow((hbp - 275) / 25, 2));
+  const Cbp7 = Math.pow(Cbp, 7);
+  const RC = 2 * Math.sqrt(Cbp7 / (Cbp7 + 6103515625));
+  const Lm50 = (Lbp - 50) * (Lbp - 50);
+  const SL = 1 + (0.015 * Lm50) / Math.sqrt(20 + Lm50);
+  const SC = 1 + 0.045 * Cbp;
+  const SH = 1 + 0.015 * Cbp * T;
+  const RT = -Math.sin(2 * dTheta * RAD) * RC;
+
+  const tL = dLp / (kL * SL);
+  const tC = dCp / (kC * SC);
+  const tH = dHp / (kH * SH);
+  return Math.sqrt(tL * tL + tC * tC + tH * tH + RT * tC * tH);
+}
+
+function hueDeg(b, a) {
+  if (a === 0 && b === 0) return 0;
+  const h = Math.atan2(b, a) * DEG;
+  return h < 0 ? h + 360 : h;
+}
+
+// ---------- CAM16-UCS ----------
+// Default sRGB viewing conditions: D65 white, La = 64/π·0.2 cd/m², Yb = 20, average surround.
+const M16 = [
+  [ 0.401288, 0.650173, -0.051461],
+  [-0.250268, 1.204414,  0.045854],
+  [-0.002079, 0.048952,  0.953127],
+];
+const CAM16_VC = (() => {
+  const white = [95.047, 100, 108.883];
+  const La = (64 / Math.PI) * 0.2, Yb = 20;
+  const F = 1, c = 0.69, Nc = 1;
+
+  const rgbW = mul3(M16, white);
+  const D = Math.min(1, Math.max(0, F * (1 - (1 / 3.6) * Math.exp((-La - 42) / 92))));
+  const Dk = rgbW.map(v => D * white[1] / v + 1 - D);
+
+  const k = 1 / (5 * La + 1), k4 = k * k * k * k;
+  const Fl = 0.2 * k4 * (5 * La) + 0.1 * (1 - k4) * (1 - k4) * Math.cbrt(5 * La);
+  const n = Yb / white[1];
+  const z = 1.48 + Math.sqrt(n);
+  const Nbb = 0.725 * Math.pow(n, -0.2);
+
+  const aw = rgbW.map((v, i) => adapt(Dk[i] * v, Fl));
+  const Aw = (2 * aw[0] + aw[1] + aw[2] / 20 - 0.305) * Nbb;
+
+  return { Dk, Fl, FlRoot: Math.pow(Fl, 0.25), n, z, Nbb, Ncb: Nbb, Nc, c, Aw };
+})();
+
+function mul3(m, v) {
+  return [
+    m[0][0] * v[0] + m[0][1] * v[1] + m[0][2] * v[2],
+    m[1][0] * v[0] + m[1][1] * v[1] + m[1][2] * v[2],
+    m[2][0] * v[0] + m[2][1] * v[1] + m[2][2] * v[2],
+  ];
+}
+
+function adapt(v, Fl) {
+  const p = Math.pow(Fl * Math.abs(v) / 100, 0.42);
+  return Math.sign(v) * 400 * p / (p + 27.13) + 0.1;
+}
+
+/** sRGB (0..255) -> CAM16-UCS [J', a', b'] */
+export function rgbToCam16Ucs(r, g, b) {
+  const vc = CAM16_VC;
+  const xyz = rgbToXyz(r, g, b).map(v => v * 100);
+  const rgb = mul3(M16, xyz);
+  const Ra = adapt(vc.Dk[0] * rgb[0], vc.Fl);
+  const Ga = adapt(vc.Dk[1] * rgb[1], vc.Fl);
+  const Ba = adapt(vc.Dk[2] * rgb[2], vc.Fl);
+
+  const a = Ra - 12 * Ga / 11 + Ba / 11;
+  const bb = (Ra + Ga - 2 * Ba) / 9;
+  const h = Math.atan2(bb, a);
+  const et = 0.25 * (Math.cos(h + 2) + 3.8);
+  const A = (2 * Ra + Ga + Ba / 20 - 0.305) * vc.Nbb;
+  const J = A > 0 ? 100 * Math.pow(A / vc.Aw, vc.c * vc.z) : 0;
+  const t = (50000 / 13 * vc.Nc * vc.Ncb * et * Math.hypot(a, bb)) / (Ra + Ga + 21 / 20 * Ba);
+  const C = Math.pow(t, 0.9) * Math.sqrt(J / 100) * Math.pow(1.64 - Math.pow(0.29, vc.n), 0.73);
+  const M = C * vc.FlRoot;
+
+  const Jp = 1.7 * J / (1 + 0.007 * J);
+  const Mp = Math.log(1 + 0.0228 * M) / 0.0228;
+  return [Jp, Mp * Math.cos(h), Mp * Math.sin(h)];
+}
+
+/** Euclidean distance in CAM16-UCS, with the same L/C/H split as deltaE76. */
+export function deltaECam16Ucs(p1, p2, kL = 1, kC = 1, kH = 1) {
+  return deltaE76(p1, p2, kL, kC, kH);
+}
+
+// ---------- OKLab ----------
+/** sRGB (0..255) -> OKLab scaled ×100, so distances read on a ΔE-like scale */
+export function rgbToOklab100(r, g, b) {
+  const [L, a, bb] = rgbToOklab(r, g, b);
+  return [L * 100, a * 100, bb * 100];
+}
+
+// ---------- Metric factory ----------
+/**
+ * Build a metric for repeated comparisons.
+ * @param {string} id - one of METRICS[].id (unknown ids fall back to DEFAULT_METRIC)
+ * @param {{wL?:number, wC?:number}} [weights] - slider multipliers (1 = neutral)
+ * @returns {{ id:string, convert:(r:number,g:number,b:number)=>number[], distance:(p:number[],q:number[])=>number }}
+ */
+export function createMetric(id = DEFAULT_METRIC, { wL = 1, wC = 1 } = {}) {
+  const kL = 1 / (wL > 0 ? wL : 1);
+  const kC = 1 / (wC > 0 ? wC : 1);
+  switch (id) {
+    case 'cie76':
+      return { id, convert: rgbToLab, distance: (p, q) => deltaE76(p, q, kL, kC) };
+    case 'cie94':
+      return { id, convert: rgbToLab, distance: (p, q) => deltaE94(p, q, kL, kC) };
+    case 'cam16ucs':
+      return { id, convert: rgbToCam16Ucs, distance: (p, q) => deltaECam16Ucs(p, q, kL, kC) };
+    case 'oklab':
+      return { id, convert: rgbToOklab100, distance: (p, q) => deltaE76(p, q, kL, kC) };
+    case 'ciede2000':
+      return { id, convert: rgbToLab, distance: (p, q) => deltaE2000(p, q, kL, kC) };
+    default:
+      return createMetric(DEFAULT_METRIC, { wL, wC });
+  }
+}
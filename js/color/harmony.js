@@ -0,0 +1,72 @@
+// js/color/harmony.js
+// Build a palette around one color: hue harmonies and tint/shade ladders.
+//
+// Hue harmonies rotate the hue at constant lightness and chroma, so every
+// proposal sits at the same perceived weight as the base ink. Ladders walk
+// lightness toward white / black and fade chroma along with it, the way a
+// tint or shade mixed with white or black ink would. Both work in OKLCH or
+// CIE LCh(ab); colors outside sRGB lose chroma, never hue.
+
+import { hexToRgb, rgbToHex, rgbToOklch, oklchToRgb, rgbToLch, lchToRgb } from './space.js';
+
+export const HARMONIES = [
+  { id: 'complementary', label: 'Complementary' },
+  { id: 'split',         label: 'Split-complementary' },
+  { id: 'triadic',       label: 'Triadic' },
+  { id: 'analogous',     label: 'Analogous' },
+  { id: 'ladder',        label: 'Tint / shade ladder' },
+];
+
+export const HARMONY_SPACES = [
+  { id: 'oklch', label: 'OKLCH' },
+  { id: 'lch',   label: 'CIE LCh' },
+];
+
+// Hue offsets in degrees; analogous uses ±spread
+const OFFSETS = {
+  complementary: () => [180],
+  split:         () => [150, 210],
+  triadic:       () => [120, 240],
+  analogous:     (spread) => [-spread, spread],
+};
+
+/**
+ * Propose colors that go with `hex`. The base color itself is not included.
+ * @param {string} hex - base color
+ * @param {string} type - HARMONIES[].id
+ * @param {{space?:'oklch'|'lch', spread?:number, steps?:number}} [opts]
+ *   spread: analogous hue step in degrees (default 30)
+ *   steps: ladder steps on each side of the base (default 2)
+ * @returns {string[]} uppercased HEX; ladders run dark -> light
+ */
+export function generateHarmony(hex, type, { space = 'oklch', spread = 30, steps = 2 } = {}) {
+  const rgb = hexToRgb(hex);
+  if (!rgb) return [];
+  const lch = space === 'lch' ? rgbToLch(rgb.r, rgb.g, rgb.b) : rgbToOklch(rgb.r, rgb.g, rgb.b);
+  const white = space === 'lch' ? 100 : 1;
+  const toHex = (l, c, h) => {
+    const o = space === 'lch' ? lchToRgb(l, c, h) : oklchToRgb(l, c, h);
+    return rgbToHex(o.r, o.g, o.b).toUpperCase();
+  };
+
+  let out;
+  if (type === 'ladder') {
+    const n = Math.max(1, steps | 0);
+    const shades = [], tints = [];
+    for (let i = n; i >= 1; i--) {
+      const t = i / (n + 1);
+      shades.push(toHex(lch.l * (1 - t), lch.c * (1 - t), lch.h));
+    }
+    for (let i = 1; i <= n; i++) {
+      const t = i / (n + 1);
+      tints.push(toHex(lch.l + (white - lch.l) * t, lch.c * (1 - t), lch.h));
+    }
+    out = [...shades, ...tints];
+  } else {
+    const offsets = (OFFSETS[type] || OFFSETS.complementary)(spread);
+    out = offsets.map(d => toHex(lch.l, lch.c, ((lch.h + d) % 360 + 360) % 360));
+  }
+  // Near-neutral bases rotate onto themselves; drop repeats
+  const base = rgbToHex(rgb.r, rgb.g, rgb.b).toUpperCase();
+  return [...new Set(out)].filter(h => h !== base);
+}
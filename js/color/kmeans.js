@@ -0,0 +1,186 @@
+// color/kmeans.js
+// k-means over flat [x,y,z, x,y,z, ...] points (RGB, OKLab, ... — any 3-D space),
+// shared by workers/kmeans.worker.js and palette.js's main-thread fallback.
+// Seeding is k-means++ with a fixed-seed PRNG, so the same image gives the
+// same palette. Locked centers (`fixed`) count toward k, come first and
+// never move.
+
+import { mulberry32 } from '../utils/random.js';
+
+// k-means++ seeding: each new center is drawn with probability ∝ D², which
+// keeps centers apart (the old even-index seeding often duplicated them).
+function seedPlusPlus(pts, n, k, rand, fixed = []) {
+  const centers = fixed.map(c => [c[0], c[1], c[2]]);
+  if (!centers.length) {
+    const first = Math.floor(rand() * n);
+    centers.push([pts[first*3], pts[first*3+1], pts[first*3+2]]);
+  }
+  const d2 = new Float64Array(n).fill(Infinity);
+  let seen = 0;
+  while (centers.length < k) {
+    for (; seen < centers.length; seen++) {
+      const c = centers[seen];
+      for (let i = 0; i < n; i++) {
+        const dx=pts[i*3]-c[0], dy=pts[i*3+1]-c[1], dz=pts[i*3+2]-c[2];
+        const d = dx*dx + dy*dy + dz*dz;
+        if (d < d2[i]) d2[i] = d;
+      }
+    }
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += d2[i];
+    if (sum === 0) break; // fewer distinct colors than k
+    let r = rand() * sum, pick = n - 1;
+    for (let i = 0; i < n; i++) { r -= d2[i]; if (r <= 0) { pick = i; break; } }
+    centers.push([pts[pick*3], pts[pick*3+1], pts[pick*3+2]]);
+  }
+  return centers;
+}
+
+function nearest(centers, x, y, z) {
+  let best=0, bestD=Infinity;
+  for (let c = 0; c < centers.length; c++) {
+    const dx=x-centers[c][0], dy=y-centers[c][1], dz=z-centers[c][2];
+    const d=dx*dx+dy*dy+dz*dz; if (d<bestD) { bestD=d; best=c; }
+  }
+  return { best, d: bestD };
+}
+
+/**
+ * Lloyd iterations in place; the first `nFixed` centers never move. Stops
+ * once no center moves more than `tol` (in point units).
+ * @param {Float32Array} pts
+ * @param {number[][]} centers
+ * @param {number} [nFixed]
+ * @param {number} [iters]
+ * @param {number} [tol]
+ * @param {(iter:number, shift:number)=>void} [onIter]
+ * @returns {{centers:number[][], counts:number[], iter:number, converged:boolean, wcss:number}}
+ */
+export function lloyd(pts, centers, nFixed = 0, iters = 30, tol = 0.5, onIter) {
+  const n = pts.length / 3, kk = centers.length;
+  const counts = new Array(kk).fill(0);
+  const sums = new Array(kk).fill(0).map(() => [0,0,0]);
+  const tol2 = tol * tol;
+  let iter = 0, converged = false, wcss = 0;
+
+  for (; iter < iters && !converged; ) {
+    counts.fill(0); for (const s of sums) { s[0]=s[1]=s[2]=0; }
+    wcss = 0;
+    for (let i = 0; i < n; i++) {
+      const x=pts[i*3], y=pts[i*3+1], z=pts[i*3+2];
+      const { best, d } = nearest(centers, x, y, z);
+      wcss += d;
+      counts[best]++; sums[best][0]+=x; sums[best][1]+=y; sums[best][2]+=z;
+    }
+    let shift2 = 0;
+    for (let c = nFixed; c < kk; c++) {
+      if (counts[c] > 0) {
+        const nx=sums[c][0]/counts[c], ny=sums[c][1]/counts[c], nz=sums[c][2]/counts[c];
+        const dx=nx-centers[c][0], dy=ny-centers[c][1], dz=nz-centers[c][2];
+        shift2 = Math.max(shift2, dx*dx+dy*dy+dz*dz);
+        centers[c][0]=nx; centers[c][1]=ny; centers[c][2]=nz;
+      }
+    }
+    iter++;
+    converged = shift2 <= tol2;
+    if (onIter) onIter(iter, Math.sqrt(shift2));
+  }
+  return { centers, counts, iter, converged, wcss };
+}
+
+/**
+ * k-means++ seeding, then Lloyd iterations.
+ * @param {Float32Array} pts
+ * @param {number} k
+ * @param {{iters?:number, tol?:number, seed?:number, fixed?:number[][], onIter?:Function}} [opts]
+ * @returns {{centers:number[][], counts:number[], iter:number, converged:boolean, wcss:number}}
+ */
+export function kmeans(pts, k, { iters = 30, tol = 0.5, seed = 1, fixed = [], onIter } = {}) {
+  const n = pts.length / 3;
+  if (!n) return { centers: fixed.map(c => [c[0], c[1], c[2]]), counts: fixed.map(() => 0), iter: 0, converged: true, wcss: 0 };
+  const centers = seedPlusPlus(pts, n, Math.max(fixed.length, Math.min(k, n)), mulberry32(seed), fixed);
+  return lloyd(pts, centers, fixed.length, iters, tol, onIter);
+}
+
+// Random subsample with a fixed seed (a plain stride can alias with the
+// sampling grid and pick a single color)
+function subsample(pts, max, seed) {
+  const n = pts.length / 3;
+  if (n <= max) return pts;
+  const rand = mulberry32(seed);
+  const out = new Float32Array(max * 3);
+  for (let i = 0; i < max; i++) {
+    const j = Math.floor(rand() * n) * 3;
+    out[i*3] = pts[j]; out[i*3+1] = pts[j+1]; out[i*3+2] = pts[j+2];
+  }
+  return out;
+}
+
+// Mean silhouette of `pts` under `centers` (O(n²), keep n small)
+function silhouette(pts, centers) {
+  const n = pts.length / 3, k = centers.length;
+  if (k < 2) return -1;
+  const label = new Int32Array(n), size = new Array(k).fill(0);
+  for (let i = 0; i < n; i++) {
+    label[i] = nearest(centers, pts[i*3], pts[i*3+1], pts[i*3+2]).best;
+    size[label[i]]++;
+  }
+  const sum = new Float64Array(k);
+  let total = 0;
+  for (let i = 0; i < n; i++) {
+    sum.fill(0);
+    for (let j = 0; j < n; j++) {
+      if (i === j) continue;
+      const dx=pts[i*3]-pts[j*3], dy=pts[i*3+1]-pts[j*3+1], dz=pts[i*3+2]-pts[j*3+2];
+      sum[label[j]] += Math.sqrt(dx*dx+dy*dy+dz*dz);
+    }
+    const own = label[i];
+    if (size[own] <= 1) continue; // singleton: s = 0
+    const a = sum[own] / (size[own] - 1);
+    let b = Infinity;
+    for (let c = 0; c < k; c++) if (c !== own && size[c]) b = Math.min(b, sum[c] / size[c]);
+    if (b === Infinity) continue;
+    total += (b - a) / Math.max(a, b);
+  }
+  return total / n;
+}
+
+// Knee of the WCSS curve: farthest point below the chord from first to last K
+function elbow(scores) {
+  const first = scores[0], last = scores[scores.length - 1];
+  let best = first.k, bestD = -Infinity;
+  for (const s of scores) {
+    const t = (s.k - first.k) / Math.max(1, last.k - first.k);
+    const chord = first.wcss + t * (last.wcss - first.wcss);
+    const d = chord - s.wcss;
+    if (d > bestD) { bestD = d; best = s.k; }
+  }
+  return best;
+}
+
+/**
+ * Pick K on a subsample: cluster for each K in kMin..kMax and keep the best
+ * silhouette, or the elbow of the WCSS curve.
+ * @param {Float32Array} pts
+ * @param {{kMin?:number, kMax?:number, method?:'silhouette'|'elbow'}} sweep
+ * @param {{tol?:number, seed?:number, fixed?:number[][], onK?:(k:number)=>void}} [opts]
+ * @returns {{k:number, scores:{k:number, wcss:number, silhouette?:number}[]}}
+ */
+export function sweepK(pts, { kMin = 2, kMax = 16, method = 'silhouette' }, { tol = 0.5, seed = 1, fixed = [], onK } = {}) {
+  const fitPts = subsample(pts, 20000, seed);
+  const silPts = subsample(pts, 1500, seed + 1);
+  const scores = [];
+  for (let k = kMin; k <= kMax; k++) {
+    const { centers, wcss } = kmeans(fitPts, k, { iters: 20, tol, seed, fixed });
+    if (centers.length < k) break; // ran out of distinct colors
+    const score = { k, wcss };
+    if (method === 'silhouette') score.silhouette = silhouette(silPts, centers);
+    scores.push(score);
+    if (onK) onK(k);
+  }
+  if (!scores.length) return { k: kMin, scores };
+  const k = method === 'elbow'
+    ? elbow(scores)
+    : scores.reduce((a, b) => (b.silhouette > a.silhouette ? b : a)).k;
+  return { k, scores };
+}
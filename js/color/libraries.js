@@ -0,0 +1,170 @@
+// js/color/libraries.js
+// Ink libraries: PMS coated / uncoated, textile (TPX), a shop's own mixing
+// book, ... Each library keeps its own Lab values and nearest-match cache in
+// State.inkLibraries, so switching libraries never returns a stale match.
+//
+// Library: { id, name, source:'builtin'|'file', inks:[{name, hex, lab}], cache:Map }
+// Files are JSON ([{name, hex}], [{name, r,g,b}], [{name, lab:[L,a,b]}], or
+// { name, inks:[...] }) or CSV with a header naming the columns
+// (name + hex, or name + r,g,b, or name + L,a,b for measured inks).
+
+import { State, bus } from '../state.js';
+import { hexToRgb, rgbToHex, rgbToLab, labToRgb } from './space.js';
+import { deltaE2000 } from './distance.js';
+
+// Only a coated sample ships: uncoated / TPX books are added from files
+export const BUILTIN_LIBRARIES = [
+  { id: 'pms-coated', name: 'PMS Solid Coated', url: './assets/pms_solid_coated.json' },
+];
+
+const NO_MATCH = { name: '—', hex: '#000000', dE: 0 };
+
+function normalizeInk(x, i) {
+  if (!x || typeof x !== 'object') return null;
+  const name = String(x.name ?? x.Name ?? `Ink ${i + 1}`).trim();
+  let lab = Array.isArray(x.lab) ? x.lab.map(Number)
+    : ['L', 'a', 'b'].every(k => x[k] != null && x[k] !== '') ? [+x.L, +x.a, +x.b] : null;
+  if (lab && !lab.every(Number.isFinite)) lab = null;
+  let rgb = x.hex ? hexToRgb(String(x.hex)) : null;
+  if (!rgb && ['r', 'g', 'b'].every(k => x[k] != null && x[k] !== '')) rgb = { r: +x.r, g: +x.g, b: +x.b };
+  if (!rgb && lab) rgb = labToRgb(lab[0], lab[1], lab[2]);
+  if (!rgb || ![rgb.r, rgb.g, rgb.b].every(Number.isFinite)) return null;
+  return {
+    name,
+    hex: rgbToHex(rgb.r, rgb.g, rgb.b).toUpperCase(),
+    lab: lab || rgbToLab(rgb.r, rgb.g, rgb.b),
+  };
+}
+
+/** Add (or replace) a library. Returns the stored library. */
+export function registerLibrary({ id, name, inks, source = 'file' }) {
+  const lib = {
+    id: String(id),
+    name: String(name || id),
+    source,
+    inks: (inks || []).map(normalizeInk).filter(Boolean),
+    cache: new Map(),
+  };
+  State.inkLibraries.set(lib.id, lib);
+  // Libraries load asynchronously: a restored activeLibrary may arrive later
+  if (State.activeLibrary == null) State.activeLibrary = lib.id;
+  bus.emit('libraries:changed', lib.id);
+  return lib;
+}
+
+export function removeLibrary(id) {
+  if (!State.inkLibraries.delete(id)) return;
+  if (State.activeLibrary === id) State.activeLibrary = State.inkLibraries.keys().next().value ?? null;
+  bus.emit('libraries:changed', id);
+}
+
+export function getLibrary(id = State.activeLibrary) {
+  return State.inkLibraries.get(id) || null;
+}
+
+/** [{id, name, count, source}] in registration order */
+export function listLibraries() {
+  return [...State.inkLibraries.values()].map(l => ({ id: l.id, name: l.name, count: l.inks.length, source: l.source }));
+}
+
+export function setActiveLibrary(id) {
+  if (!State.inkLibraries.has(id) || State.activeLibrary === id) return;
+  State.activeLibrary = id;
+  bus.emit('libraries:active', id);
+}
+
+/**
+ * Nearest ink in a library by CIEDE2000.
+ * @returns {{name:string, hex:string, dE:number}} ({name:'—'} when the library is empty/missing)
+ */
+export function nearestInk(hex, id = State.activeLibrary) {
+  const lib = getLibrary(id);
+  const rgb = hexToRgb(hex || '');
+  if (!lib || !lib.inks.length || !rgb) return NO_MATCH;
+  const key = rgbToHex(rgb.r, rgb.g, rgb.b).toUpperCase();
+  const hit = lib.cache.get(key);
+  if (hit) return hit;
+
+  const lab = rgbToLab(rgb.r, rgb.g, rgb.b);
+  let best = null;
+  for (const ink of lib.inks) {
+    const dE = deltaE2000(lab, ink.lab);
+    if (!best || dE < best.dE) best = { name: ink.name, hex: ink.hex, dE };
+  }
+  lib.cache.set(key, best);
+  return best;
+}
+
+// ---------- Parsing ----------
+function splitCsvLine(line, sep) {
+  const out = [];
+  let cur = '', quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === sep) { out.push(cur.trim()); cur = ''; }
+    else cur += ch;
+  }
+  out.push(cur.trim());
+  return out;
+}
+
+function parseCsv(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim());
+  if (!lines.length) return [];
+  const sep = [',', ';', '\t'].reduce((a, b) => (lines[0].split(b).length > lines[0].split(a).length ? b : a));
+  const first = splitCsvLine(lines[0], sep);
+  // Header names: name, hex, r, g, b, L, a, b ("L*", "a*", "b*" accepted)
+  const lower = first.map(h => h.replace(/\*/g, '').trim().toLowerCase());
+  const hasHeader = lower.some(c => ['name', 'hex', 'r', 'l'].includes(c));
+  if (!hasHeader) {
+    // name,#hex or #hex,name
+    return lines.map(l => {
+      const [a, b] = splitCsvLine(l, sep);
+      return a?.startsWith('#') ? { hex: a, name: b } : { name: a, hex: b };
+    });
+  }
+  // "b" is blue after r,g and Lab b* after L,a
+  const isLab = lower.includes('l') && lower.includes('a') && !lower.includes('r');
+  return lines.slice(1).map(l => {
+    const cells = splitCsvLine(l, sep);
+    const row = {};
+    lower.forEach((c, i) => {
+      if (c === 'name' || c === 'hex') row[c] = cells[i];
+      else if (isLab && (c === 'l' || c === 'a' || c === 'b')) row[c === 'l' ? 'L' : c] = cells[i];
+      else if (!isLab && (c === 'r' || c === 'g' || c === 'b')) row[c] = cells[i];
+    });
+    return row;
+  });
+}
+
+/**
+ * Parse a library file's text.
+ * @returns {{name?:string, inks:object[]}} raw inks (normalized by registerLibrary)
+ */
+export function parseLibrary(text, fileName = '') {
+  const t = String(text).replace(/^\uFEFF/, '');
+  if (/\.json$/i.test(fileName) || /^\s*[[{]/.test(t)) {
+    const data = JSON.parse(t);
+    if (Array.isArray(data)) return { inks: data };
+    return { name: data?.name, inks: Array.isArray(data?.inks) ? data.inks : [] };
+  }
+  return { inks: parseCsv(t) };
+}
+
+/** Fetch a library (JSON or CSV) and register it. */
+export async function loadLibraryUrl(url, { id, name, source = 'builtin' } = {}) {
+  const res = await fetch(url, { cache: 'no-cache' });
+  if (!res.ok) throw new Error(`Failed to load ink library ${url}: ${res.status}`);
+  const parsed = parseLibrary(await res.text(), url);
+  return registerLibrary({ id: id || url, name: name || parsed.name || url, inks: parsed.inks, source });
+}
+
+/** Plain data for persistence (user libraries only need name/hex/lab) */
+export function serializeLibrary(lib) {
+  return { id: lib.id, name: lib.name, inks: lib.inks.map(({ name, hex, lab }) => ({ name, hex, lab })) };
+}
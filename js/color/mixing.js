@@ -0,0 +1,89 @@
+// js/color/mixing.js
+// Predict the color produced by combining inks.
+//
+// Models:
+//  - 'optical' : dithered / halftone patterns. Small dots of each ink average in
+//                linear light (what the eye integrates), then re-encode to sRGB.
+//  - 'km'      : wet-blended inks. Single-constant Kubelka–Munk on a 3-band
+//                reflectance approximation of each ink (linear R, G, B).
+//  - 'oklab'   : perceptual interpolation in OKLab.
+//  - 'srgb'    : legacy average of gamma-encoded values (over-predicts lightness).
+
+import { srgbToLinear, linearToSrgb, rgbToOklab, oklabToRgb } from './space.js';
+import { clamp } from '../utils/canvas.js';
+
+export const MIX_MODELS = [
+  { id: 'optical', label: 'Pattern / halftone (optical)' },
+  { id: 'km',      label: 'Wet blend (Kubelka–Munk)' },
+  { id: 'oklab',   label: 'OKLab interpolation' },
+  { id: 'srgb',    label: 'sRGB average (legacy)' },
+];
+export const DEFAULT_MIX_MODEL = 'optical';
+
+// Reflectance floor: K/S diverges at R = 0, and no real ink is perfectly black.
+const R_MIN = 0.001;
+
+/**
+ * Approximate an ink's reflectance from its sRGB color.
+ * Returns three bands (long / medium / short ≈ linear R, G, B), each 0..1.
+ * Inks may carry a measured `reflectance` array instead; see predictMix().
+ */
+export function inkReflectance(rgb) {
+  return [
+    clamp(srgbToLinear(rgb[0]), R_MIN, 1),
+    clamp(srgbToLinear(rgb[1]), R_MIN, 1),
+    clamp(srgbToLinear(rgb[2]), R_MIN, 1),
+  ];
+}
+
+const ksOf = (R) => ((1 - R) * (1 - R)) / (2 * R);
+const rOfKs = (ks) => 1 + ks - Math.sqrt(ks * ks + 2 * ks);
+
+/**
+ * Predict the color of a mix.
+ * @param {Array<number[]|{rgb:number[], reflectance?:number[]}>} inks - [r,g,b] 0..255 or ink objects
+ * @param {number[]} weights - coverage / concentration per ink (normalized here)
+ * @param {string} [model=DEFAULT_MIX_MODEL]
+ * @returns {number[]} [r,g,b] 0..255 (rounded)
+ */
+export function predictMix(inks, weights, model = DEFAULT_MIX_MODEL) {
+  const n = Math.min(inks.length, weights.length);
+  let total = 0;
+  for (let i = 0; i < n; i++) total += Math.max(0, weights[i]);
+  if (!n || total <= 0) return [255, 255, 255];
+  const ws = weights.slice(0, n).map(w => Math.max(0, w) / total);
+  const rgbs = inks.slice(0, n).map(ink => Array.isArray(ink) ? ink : ink.rgb);
+
+  switch (model) {
+    case 'srgb': {
+      const out = [0, 0, 0];
+      rgbs.forEach((c, i) => { for (let k = 0; k < 3; k++) out[k] += c[k] * ws[i]; });
+      return out.map(v => Math.round(clamp(v, 0, 255)));
+    }
+    case 'oklab': {
+      const out = [0, 0, 0];
+      rgbs.forEach((c, i) => {
+        const lab = rgbToOklab(c[0], c[1], c[2]);
+        for (let k = 0; k < 3; k++) out[k] += lab[k] * ws[i];
+      });
+      const { r, g, b } = oklabToRgb(out[0], out[1], out[2]);
+      return [r, g, b];
+    }
+    case 'km': {
+      const ks = [0, 0, 0];
+      inks.slice(0, n).forEach((ink, i) => {
+        const R = (!Array.isArray(ink) && Array.isArray(ink.reflectance))
+          ? ink.reflectance.map(v => clamp(v, R_MIN, 1))
+          : inkReflectance(rgbs[i]);
+        for (let k = 0; k < 3; k++) ks[k] += ksOf(R[k]) * ws[i];
+      });
+      return ks.map(v => Math.round(clamp(linearToSrgb(rOfKs(v)), 0, 255)));
+    }
+    case 'optical':
+    default: {
+      const lin = [0, 0, 0];
+      rgbs.forEach((c, i) => { for (let k = 0; k < 3; k++) lin[k] += srgbToLinear(c[k]) * ws[i]; });
+      return lin.map(v => Math.round(clamp(linearToSrgb(v), 0, 255)));
+    }
+  }
+}
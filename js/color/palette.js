@@ -1,7 +1,21 @@
 // color/palette.js
-import { rgbToHex } from './space.js';
+import { rgbToHex, hexToRgb, rgbToLab, rgbToOklab, oklabToRgb } from './space.js';
+import { deltaE2000 } from './distance.js';
+import { medianCut, octree, wu } from './quantize.js';
+import { kmeans, lloyd } from './kmeans.js';
 
-function sampleForClusteringFast(ctx, w, h, targetPixels = 120000) {
+// Extraction algorithms. `spaces` lists the working spaces each one honors;
+// octree and Wu bin raw 8-bit RGB, so they always run in RGB.
+export const QUANTIZERS = [
+  { id: 'kmeans',    label: 'k-means',    spaces: ['rgb', 'oklab'] },
+  { id: 'mediancut', label: 'Median cut', spaces: ['rgb', 'oklab'] },
+  { id: 'octree',    label: 'Octree',     spaces: ['rgb'] },
+  { id: 'wu',        label: 'Wu',         spaces: ['rgb'] },
+];
+
+// Grid-sample the canvas for clustering. `mask` (Uint8Array, w*h, nonzero =
+// inside) restricts sampling to a region, e.g. the union of lasso regions.
+function sampleForClusteringFast(ctx, w, h, targetPixels = 120000, mask = null) {
   const step = Math.max(1, Math.floor(Math.sqrt((w * h) / targetPixels)));
   const data = ctx.getImageData(0, 0, w, h).data;
   const out = new Uint8ClampedArray(((Math.floor(h/step)+1) * (Math.floor(w/step)+1)) * 4);
@@ -9,6 +23,7 @@ function sampleForClusteringFast(ctx, w, h, targetPixels = 120000) {
   for (let y = 0; y < h; y += step) {
     let rowStart = y * w * 4;
     for (let x = 0; x < w; x += step) {
+      if (mask && !mask[y * w + x]) continue;
       const i = rowStart + x * 4;
       out[si++] = data[i];
       out[si++] = data[i + 1];
@@ -16,49 +31,312 @@ function sampleForClusteringFast(ctx, w, h, targetPixels = 120000) {
       out[si++] = data[i + 3];
     }
   }
+  return { samples: out.subarray(0, si), data, step };
+}
+
+export const WEIGHTINGS = [
+  { id: 'none',   label: 'None' },
+  { id: 'detail', label: 'Detail (edges)' },
+  { id: 'center', label: 'Center bias' },
+  { id: 'both',   label: 'Detail + center' },
+];
+
+// Per-sample importance, in the same grid/mask order as sampleForClusteringFast.
+//  detail: Sobel luma gradient at each sample, box-blurred over the sample grid
+//          so the flat insides of small detailed features count too
+//  center: Gaussian falloff from the image center (σ ≈ 0.35 of the half-size)
+function sampleWeights(data, w, h, step, mask, mode) {
+  const gw = Math.floor((w - 1) / step) + 1, gh = Math.floor((h - 1) / step) + 1;
+  const grid = new Float32Array(gw * gh).fill(1);
+
+  if (mode === 'detail' || mode === 'both') {
+    const luma = (x, y) => {
+      const i = (Math.min(h - 1, Math.max(0, y)) * w + Math.min(w - 1, Math.max(0, x))) * 4;
+      return 0.2126 * data[i] + 0.7152 * data[i + 1] + 0.0722 * data[i + 2];
+    };
+    const grad = new Float32Array(gw * gh);
+    let max = 0;
+    for (let gy = 0; gy < gh; gy++) {
+      for (let gx = 0; gx < gw; gx++) {
+        const x = gx * step, y = gy * step;
+        const sx = luma(x+1, y-1) + 2*luma(x+1, y) + luma(x+1, y+1) - luma(x-1, y-1) - 2*luma(x-1, y) - luma(x-1, y+1);
+        const sy = luma(x-1, y+1) + 2*luma(x, y+1) + luma(x+1, y+1) - luma(x-1, y-1) - 2*luma(x, y-1) - luma(x+1, y-1);
+        const g = Math.hypot(sx, sy);
+        grad[gy * gw + gx] = g;
+        if (g > max) max = g;
+      }
+    }
+    const R = 2;
+    for (let gy = 0; gy < gh; gy++) {
+      for (let gx = 0; gx < gw; gx++) {
+        let sum = 0, n = 0;
+        for (let dy = -R; dy <= R; dy++) {
+          const yy = gy + dy; if (yy < 0 || yy >= gh) continue;
+          for (let dx = -R; dx <= R; dx++) {
+            const xx = gx + dx; if (xx < 0 || xx >= gw) continue;
+            sum += grad[yy * gw + xx]; n++;
+          }
+        }
+        grid[gy * gw + gx] *= 1 + 8 * (max ? sum / n / max : 0);
+      }
+    }
+  }
+  if (mode === 'center' || mode === 'both') {
+    const s2 = 2 * 0.35 * 0.35;
+    for (let gy = 0; gy < gh; gy++) {
+      const ny = (gy * step - h / 2) / (h / 2);
+      for (let gx = 0; gx < gw; gx++) {
+        const nx = (gx * step - w / 2) / (w / 2);
+        grid[gy * gw + gx] *= 0.1 + Math.exp(-(nx * nx + ny * ny) / s2);
+      }
+    }
+  }
+
+  const out = [];
+  for (let gy = 0; gy < gh; gy++) {
+    for (let gx = 0; gx < gw; gx++) {
+      if (mask && !mask[gy * step * w + gx * step]) continue;
+      out.push(grid[gy * gw + gx]);
+    }
+  }
   return out;
 }
 
-function kmeansRGB(data, k = 6, iters = 10) {
+// Systematic resampling: a same-size RGBA sample set in which each sample
+// appears in proportion to its weight, so every quantizer honors the weights
+// without knowing about them.
+function resampleByWeight(samples, weights) {
+  const n = weights.length;
+  let total = 0;
+  for (const wt of weights) total += wt;
+  if (!n || !total) return samples;
+  const out = new Uint8ClampedArray(n * 4);
+  const stride = total / n;
+  let acc = weights[0], j = 0, t = stride / 2;
+  for (let i = 0; i < n; i++, t += stride) {
+    while (acc < t && j < n - 1) acc += weights[++j];
+    out.set(samples.subarray(j * 4, j * 4 + 4), i * 4);
+  }
+  return out;
+}
+
+// Convert RGBA samples to a flat [x,y,z,...] point list in the working space.
+// Transparent pixels are dropped here so the clustering loop doesn't need alpha.
+function toPoints(data, space = 'rgb') {
   const n = data.length / 4;
-  const centers = [];
-  for (let c = 0; c < k; c++) {
-    const idx = Math.floor((c + 0.5) * n / k);
-    centers.push([data[idx*4], data[idx*4+1], data[idx*4+2]]);
+  const pts = new Float32Array(n * 3);
+  let m = 0;
+  for (let i = 0; i < n; i++) {
+    if (data[i*4+3] < 8) continue; // ignore transparent
+    const r = data[i*4], g = data[i*4+1], b = data[i*4+2];
+    if (space === 'oklab') {
+      const [L, A, B] = rgbToOklab(r, g, b);
+      pts[m*3] = L; pts[m*3+1] = A; pts[m*3+2] = B;
+    } else {
+      pts[m*3] = r; pts[m*3+1] = g; pts[m*3+2] = b;
+    }
+    m++;
+  }
+  return pts.subarray(0, m * 3);
+}
+
+function pointToHex(p, space = 'rgb') {
+  if (space === 'oklab') {
+    const { r, g, b } = oklabToRgb(p[0], p[1], p[2]);
+    return rgbToHex(r, g, b);
+  }
+  return rgbToHex(Math.round(p[0]), Math.round(p[1]), Math.round(p[2]));
+}
+
+// Box quantizers can't take seeds: give their centers nearest to each locked
+// ink over to it, then let the rest settle around the locked inks.
+function withFixed(pts, centers, fixed, tol) {
+  if (!fixed.length) return centers;
+  const free = centers.slice();
+  for (const f of fixed) {
+    let best = -1, bestD = Infinity;
+    free.forEach((c, i) => {
+      const d = (c[0]-f[0])**2 + (c[1]-f[1])**2 + (c[2]-f[2])**2;
+      if (d < bestD) { bestD = d; best = i; }
+    });
+    if (best >= 0) free.splice(best, 1);
   }
-  const counts = new Array(k).fill(0);
-  const sums = new Array(k).fill(0).map(() => [0,0,0]);
-
-  for (let it = 0; it < iters; it++) {
-    counts.fill(0); for (const s of sums) s[0]=s[1]=s[2]=0;
-    for (let i = 0; i < n; i++) {
-      if (data[i*4+3] < 8) continue; // ignore transparent
-      const r = data[i*4], g = data[i*4+1], b = data[i*4+2];
-      let best = 0, bestD = Infinity;
-      for (let c = 0; c < k; c++) {
-        const dr=r-centers[c][0], dg=g-centers[c][1], db=b-centers[c][2];
-        const d = dr*dr + dg*dg + db*db;
-        if (d < bestD) { bestD = d; best = c; }
+  return lloyd(pts, [...fixed.map(c => [c[0], c[1], c[2]]), ...free], fixed.length, 10, tol).centers;
+}
+
+// Convergence tolerance per working space (≈ half an 8-bit step)
+const TOL = { rgb: 0.5, oklab: 0.002 };
+
+// Upper bound for K: posters can legitimately need up to 24 spot colors
+export const MAX_K = 24;
+const clampK = (k) => Math.min(MAX_K, Math.max(2, (k|0)));
+
+// Public: returns HEX[] (uppercased)
+// opts.space: 'rgb' (default) or 'oklab' — the space k-means clusters in
+export function autoPaletteFromCanvasHybrid(canvas, k = 10, opts = {}) {
+  if (!canvas || !canvas.width) return [];
+  const space = opts.space === 'oklab' ? 'oklab' : 'rgb';
+  const ctx = canvas.getContext('2d', { willReadFrequently:true });
+  const { samples: sampled } = sampleForClusteringFast(ctx, canvas.width, canvas.height, 120000);
+  const { centers } = kmeans(toPoints(sampled, space), clampK(k), { tol: TOL[space] });
+  return centers.map(c => pointToHex(c, space)).map(h => h.toUpperCase());
+}
+
+// Post one job to workers/kmeans.worker.js; resolves its 'done' message.
+// Rejects with an AbortError when `signal` aborts (the worker is terminated).
+function runKmeansWorker(msg, { onProgress, signal } = {}) {
+  return new Promise((resolve, reject) => {
+    const abortErr = () => new DOMException('Palette extraction cancelled', 'AbortError');
+    if (signal?.aborted) { reject(abortErr()); return; }
+
+    const worker = new Worker(new URL('../workers/kmeans.worker.js', import.meta.url), { type: 'module' });
+    const onAbort = () => { worker.terminate(); reject(abortErr()); };
+    const finish = () => { worker.terminate(); signal?.removeEventListener('abort', onAbort); };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    worker.onmessage = (e) => {
+      const m = e.data || {};
+      if (m.type === 'progress') {
+        if (typeof onProgress === 'function') onProgress(m);
+      } else if (m.type === 'done') {
+        finish();
+        resolve(m);
       }
-      counts[best]++; sums[best][0]+=r; sums[best][1]+=g; sums[best][2]+=b;
+    };
+    worker.onerror = (err) => { finish(); reject(err); };
+    worker.postMessage(msg, [msg.pts.buffer]);
+  });
+}
+
+// Count samples per center (nearest in OKLab), then fold together centers
+// closer than mergeDE (CIEDE2000), weighting by pixel count. The first
+// `nFixed` hexes are locked: never moved, merged together or re-encoded,
+// and they stay first (in order); the rest are sorted by share.
+function finalizeCenters(sampled, hexes, mergeDE = 0, nFixed = 0) {
+  const pts = toPoints(sampled, 'oklab');
+  let cs = hexes.map((hex, i) => {
+    const { r, g, b } = hexToRgb(hex);
+    return { hex, ok: rgbToOklab(r, g, b), lab: rgbToLab(r, g, b), n: 0, fixed: i < nFixed ? i : -1 };
+  });
+  for (let i = 0; i < pts.length; i += 3) {
+    let best = 0, bestD = Infinity;
+    for (let c = 0; c < cs.length; c++) {
+      const o = cs[c].ok, dx = pts[i]-o[0], dy = pts[i+1]-o[1], dz = pts[i+2]-o[2];
+      const d = dx*dx + dy*dy + dz*dz;
+      if (d < bestD) { bestD = d; best = c; }
     }
-    for (let c = 0; c < k; c++) {
-      if (counts[c] > 0) {
-        centers[c][0] = Math.round(sums[c][0] / counts[c]);
-        centers[c][1] = Math.round(sums[c][1] / counts[c]);
-        centers[c][2] = Math.round(sums[c][2] / counts[c]);
+    cs[best].n++;
+  }
+
+  while (mergeDE > 0 && cs.length > 1) {
+    let pa = -1, pb = -1, bestD = mergeDE;
+    for (let a = 0; a < cs.length; a++) {
+      for (let b = a + 1; b < cs.length; b++) {
+        if (cs[a].fixed >= 0 && cs[b].fixed >= 0) continue;
+        const d = deltaE2000(cs[a].lab, cs[b].lab);
+        if (d < bestD) { bestD = d; pa = a; pb = b; }
       }
     }
+    if (pa < 0) break;
+    if (cs[pb].fixed >= 0) [pa, pb] = [pb, pa]; // a locked ink absorbs, unchanged
+    const A = cs[pa], B = cs[pb], n = A.n + B.n;
+    if (A.fixed >= 0) {
+      A.n = n;
+    } else {
+      const wa = n ? A.n / n : 0.5, wb = 1 - wa;
+      const ok = [0, 1, 2].map(i => A.ok[i] * wa + B.ok[i] * wb);
+      const { r, g, b } = oklabToRgb(ok[0], ok[1], ok[2]);
+      cs[pa] = { hex: rgbToHex(r, g, b), ok, lab: rgbToLab(r, g, b), n, fixed: -1 };
+    }
+    cs.splice(pb, 1);
   }
-  return centers;
+
+  const total = cs.reduce((s, c) => s + c.n, 0) || 1;
+  cs.sort((a, b) => {
+    if (a.fixed >= 0 || b.fixed >= 0) {
+      return (a.fixed < 0 ? Infinity : a.fixed) - (b.fixed < 0 ? Infinity : b.fixed);
+    }
+    return b.n - a.n;
+  });
+  return {
+    hexes: cs.map(c => c.hex.toUpperCase()),
+    shares: cs.map(c => c.n / total),
+  };
 }
 
-// Public: returns HEX[] (uppercased)
-export function autoPaletteFromCanvasHybrid(canvas, k = 10) {
-  if (!canvas || !canvas.width) return [];
+/**
+ * Extract a palette and report how it was built.
+ * opts: { algorithm, space, autoK, mergeDE, fixed, onProgress, signal }
+ *  - algorithm: QUANTIZERS[].id (default 'kmeans'; k-means runs in the worker)
+ *  - autoK: 'silhouette' | 'elbow' — sweep K = 2..k with k-means in OKLab and
+ *    keep the best K, then run `algorithm` with it (the sweep runs in the
+ *    worker: without Worker support K stays at k)
+ *  - mergeDE: merge centers closer than this CIEDE2000 (0 = off)
+ *  - fixed: locked HEX[] — fixed centers that count toward K, so only
+ *    K − fixed.length colors are learned; returned first and unchanged
+ *  - mask: Uint8Array (canvas w*h, nonzero = inside) — extract from a region only
+ *  - weighting: WEIGHTINGS[].id — let detailed and/or central pixels count
+ *    more when clustering (shares still report plain pixel counts)
+ * Resolves { hexes, shares, k, autoK }: uppercased HEX[] (locked first, the
+ * rest by pixel share), shares 0..1 aligned with hexes, the K clustered for,
+ * and the autoK method that picked it (null when K was not swept).
+ * Rejects with an AbortError when cancelled.
+ */
+export async function extractPaletteStats(canvas, k = 10, opts = {}) {
+  if (!canvas || !canvas.width) return { hexes: [], shares: [], k: 0 };
+  const { onProgress, signal } = opts;
+  const algo = QUANTIZERS.find(q => q.id === opts.algorithm) || QUANTIZERS[0];
+  const space = algo.spaces.includes(opts.space) ? opts.space : 'rgb';
+  const hasWorker = typeof Worker === 'function';
   const ctx = canvas.getContext('2d', { willReadFrequently:true });
-  const sampled = sampleForClusteringFast(ctx, canvas.width, canvas.height, 120000);
-  const kk = Math.min(16, Math.max(2, (k|0)));
-  const centers = kmeansRGB(sampled, kk, 10);
-  return centers.map(([r,g,b]) => rgbToHex(r,g,b)).map(h => h.toUpperCase());
+  const { width: w, height: h } = canvas;
+  const mask = opts.mask?.length === w * h ? opts.mask : null;
+  const { samples: sampled, data, step } = sampleForClusteringFast(ctx, w, h, 120000, mask);
+  // `sampled` counts pixels for shares; `clustered` is what the quantizers see
+  const weighting = WEIGHTINGS.some(x => x.id === opts.weighting) ? opts.weighting : 'none';
+  const clustered = weighting === 'none'
+    ? sampled
+    : resampleByWeight(sampled, sampleWeights(data, w, h, step, mask, weighting));
+
+  const fixedHex = (opts.fixed || []).map(hx => hexToRgb(hx)).filter(Boolean).map(c => rgbToHex(c.r, c.g, c.b));
+  const fixedIn = (sp) => fixedHex.map(hx => {
+    const { r, g, b } = hexToRgb(hx);
+    return sp === 'oklab' ? rgbToOklab(r, g, b) : [r, g, b];
+  });
+  const nFixed = fixedHex.length;
+  let kk = clampK(k);
+  if (nFixed >= kk) return { ...finalizeCenters(sampled, fixedHex, 0, nFixed), k: nFixed, autoK: null };
+
+  const autoK = opts.autoK && hasWorker ? opts.autoK : null;
+  if (autoK) {
+    const sweep = { kMin: Math.max(2, nFixed + 1), kMax: kk, method: opts.autoK === 'elbow' ? 'elbow' : 'silhouette' };
+    const res = await runKmeansWorker(
+      { pts: toPoints(clustered, 'oklab').slice(), k: kk, iters: 30, tol: TOL.oklab, seed: 1, sweep, fixed: fixedIn('oklab') },
+      { onProgress, signal });
+    kk = clampK(res.k);
+    if (algo.id === 'kmeans' && space === 'oklab') {
+      const hexes = res.centers.slice(nFixed).map(c => pointToHex(c, 'oklab'));
+      return { ...finalizeCenters(sampled, [...fixedHex, ...hexes], opts.mergeDE, nFixed), k: kk, autoK };
+    }
+  }
+
+  const fixed = fixedIn(space);
+  const pts = toPoints(clustered, space);
+  let centers;
+  switch (algo.id) {
+    case 'mediancut': centers = withFixed(pts, medianCut(pts, kk), fixed, TOL[space]); break;
+    case 'octree':    centers = withFixed(pts, octree(clustered, kk), fixed, TOL[space]); break;
+    case 'wu':        centers = withFixed(pts, wu(clustered, kk), fixed, TOL[space]); break;
+    default:
+      centers = hasWorker
+        ? (await runKmeansWorker({ pts: pts.slice(), k: kk, iters: 30, tol: TOL[space], seed: 1, fixed },
+                                 { onProgress, signal })).centers
+        : kmeans(pts, kk, { tol: TOL[space], fixed }).centers;
+  }
+  const hexes = centers.slice(nFixed).map(c => pointToHex(c, space));
+  return { ...finalizeCenters(sampled, [...fixedHex, ...hexes], opts.mergeDE, nFixed), k: kk, autoK };
+}
+/** extractPaletteStats() without the stats: resolves HEX[] (uppercased). */
+export async function extractPalette(canvas, k = 10, opts = {}) {
+  return (await extractPaletteStats(canvas, k, opts)).hexes;
 }
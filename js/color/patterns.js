@@ -1,33 +1,76 @@
-// Small procedural patterns, returns function (x,y)->0..1 coverage for ink A,
-// or returns {fn, params} used by mapper to composite multiple inks.
+// Small procedural patterns, returns function (x,y,thr)->0|1: 1 = ink A here.
+// thr is the rule density (0..1); at 0.5 checker and stripes are the plain
+// 50/50 patterns, other densities fill or empty their cells / stripes in order.
+// All patterns depend only on (x,y), so tiles and re-renders line up.
+export const PATTERNS = ['checker', 'bayer2', 'bayer4', 'stripes', 'stipple'];
+
+// Integer hash -> 0..1, a stand-in for Math.random that repeats per pixel
+export function hash01(x, y, salt){
+  let h = Math.imul(x, 0x27d4eb2d) ^ Math.imul(y, 0x165667b1) ^ Math.imul(salt, 0x9e3779b9);
+  h = Math.imul(h ^ (h >>> 15), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return ((h ^ (h >>> 16)) >>> 0) / 4294967296;
+}
+
+const mod = (a, n) => ((a % n) + n) % n;
+
+// Bayer index matrix (size a power of 2): M(2n) = [4M, 4M+2; 4M+3, 4M+1]
+export function bayerMatrix(size){
+  let m = [[0]];
+  for (let n = 1; n < size; n *= 2) {
+    const next = Array.from({ length: n * 2 }, () => new Array(n * 2));
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const v = 4 * m[y][x];
+        next[y][x] = v;
+        next[y][x + n] = v + 2;
+        next[y + n][x] = v + 3;
+        next[y + n][x + n] = v + 1;
+      }
+    }
+    m = next;
+  }
+  return m;
+}
+
 export function makePattern(type='checker', params={}){
   switch(type){
     case 'checker': {
-      const s = params.size ?? 2; // cell size in px
-      return (x,y)=> ((Math.floor(x/s)+Math.floor(y/s))%2) ? 1 : 0;
-    }
-    case 'bayer2': {
-      // 2x2 ordered dither matrix
-      const M=[[0,2],[3,1]]; const div=4; const s=2;
-      return (x,y,thr=0.5)=> ((M[y%s][x%s]/div) < thr) ? 1 : 0;
+      const s = Math.max(1, Math.round(params.size ?? 2)); // cell size in px
+      // odd cells fill first (Bayer order inside the cell), then even ones.
+      // A size that isn't a power of 2 takes the corner of the next Bayer
+      // matrix up, re-ranked 0..s²-1 so each pixel is one equal density step.
+      let b = 1; while (b < s) b *= 2;
+      const M = bayerMatrix(b), div = s*s;
+      const order = Array.from({ length: div }, (_, i) => i)
+        .sort((i, j) => M[Math.floor(i/s)][i%s] - M[Math.floor(j/s)][j%s]);
+      const rank = new Array(div);
+      order.forEach((i, r) => { rank[i] = r; });
+      return (x,y,thr=0.5)=> {
+        const odd = (Math.floor(x/s)+Math.floor(y/s))%2 !== 0;
+        const v = (odd ? 0 : 0.5) + (rank[mod(y,s)*s + mod(x,s)] + 0.5) / div / 2;
+        return v < thr ? 1 : 0;
+      };
     }
+    case 'bayer2':
     case 'bayer4': {
-      const M=[
-        [ 0, 8, 2,10],
-        [12, 4,14, 6],
-        [ 3,11, 1, 9],
-        [15, 7,13, 5]
-      ]; const div=16, s=4;
+      // 2x2 / 4x4 ordered dither matrix
+      const s = type === 'bayer2' ? 2 : 4; const M = bayerMatrix(s); const div = s*s;
       return (x,y,thr=0.5)=> ((M[y%s][x%s]/div) < thr) ? 1 : 0;
     }
     case 'stripes': {
-      const w = params.width ?? 4;
-      return (x,y)=> (Math.floor(x/w)%2) ? 1 : 0;
+      const w = Math.max(1, params.width ?? 4);
+      // odd stripes widen from their left edge, then even ones
+      return (x,y,thr=0.5)=> {
+        const odd = Math.floor(x/w)%2 !== 0;
+        const v = (odd ? 0 : 0.5) + (mod(x,w) + 0.5) / w / 2;
+        return v < thr ? 1 : 0;
+      };
     }
     case 'stipple': {
       const density = params.density ?? 0.5; // base
       const j = params.jitter ?? 0.15;
-      return ()=> (Math.random() < Math.max(0, Math.min(1, density + (Math.random()*2-1)*j))) ? 1 : 0;
+      return (x,y,thr=density)=> (hash01(x,y,1) < Math.max(0, Math.min(1, thr + (hash01(x,y,2)*2-1)*j))) ? 1 : 0;
     }
     default: return ()=>1;
   }
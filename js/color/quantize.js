@@ -0,0 +1,262 @@
+// js/color/quantize.js
+// Alternative color quantizers for palette extraction.
+//  - medianCut(pts, k): flat [x,y,z,...] points in any 3-D space -> centers (variance-based cut)
+//  - octree(rgba, k):   RGBA samples -> [[r,g,b],...]  (Gervautz & Purgathofer)
+//  - wu(rgba, k):       RGBA samples -> [[r,g,b],...]  (Wu 1991, variance-minimizing boxes)
+// Transparent samples (alpha < 8) are ignored, as in palette.js.
+
+// ---------- Median cut ----------
+/**
+ * Repeatedly split the box with the largest squared error along its widest
+ * axis, then average each box. The cut sits where the two halves' summed
+ * squared error is lowest rather than at the pixel median, so flat-color
+ * artwork splits between its colors instead of through one of them.
+ */
+export function medianCut(pts, k) {
+  const n = pts.length / 3;
+  if (!n) return [];
+  const idx = new Uint32Array(n);
+  for (let i = 0; i < n; i++) idx[i] = i;
+
+  const describe = (start, end) => {
+    const s1 = [0, 0, 0], s2 = [0, 0, 0];
+    for (let i = start; i < end; i++) {
+      const p = idx[i] * 3;
+      for (let a = 0; a < 3; a++) { const v = pts[p + a]; s1[a] += v; s2[a] += v * v; }
+    }
+    const m = end - start;
+    const sse = s1.map((v, a) => s2[a] - v * v / m);
+    const axis = sse.indexOf(Math.max(...sse));
+    return { start, end, axis, score: sse[0] + sse[1] + sse[2] };
+  };
+
+  const boxes = [describe(0, n)];
+  while (boxes.length < k) {
+    let bi = -1, best = 1e-9;
+    boxes.forEach((b, i) => { if (b.end - b.start > 1 && b.score > best) { best = b.score; bi = i; } });
+    if (bi < 0) break; // nothing left to split
+    const { start, end, axis } = boxes[bi];
+    const view = idx.subarray(start, end);
+    view.sort((a, b) => pts[a * 3 + axis] - pts[b * 3 + axis]);
+
+    // best 1-D two-way split along the axis via prefix sums
+    const m = end - start;
+    let tot = 0, tot2 = 0;
+    for (let i = 0; i < m; i++) { const v = pts[view[i] * 3 + axis]; tot += v; tot2 += v * v; }
+    let cut = m >> 1, bestErr = Infinity, l = 0, l2 = 0;
+    for (let i = 1; i < m; i++) {
+      const v = pts[view[i - 1] * 3 + axis];
+      l += v; l2 += v * v;
+      if (v === pts[view[i] * 3 + axis]) continue; // never split equal values
+      const err = (l2 - l * l / i) + ((tot2 - l2) - (tot - l) * (tot - l) / (m - i));
+      if (err < bestErr) { bestErr = err; cut = i; }
+    }
+    boxes.splice(bi, 1, describe(start, start + cut), describe(start + cut, end));
+  }
+
+  return boxes.map(({ start, end }) => {
+    const c = [0, 0, 0];
+    for (let i = start; i < end; i++) {
+      const p = idx[i] * 3;
+      c[0] += pts[p]; c[1] += pts[p + 1]; c[2] += pts[p + 2];
+    }
+    const m = end - start;
+    return [c[0] / m, c[1] / m, c[2] / m];
+  });
+}
+
+// ---------- Octree ----------
+/**
+ * Build a full 8-level RGB octree, then fold the least-populated deepest
+ * nodes into their parents until k leaves remain. The last fold merges only
+ * the smallest children when folding them all would leave fewer than k.
+ */
+export function octree(rgba, k) {
+  const levels = Array.from({ length: 8 }, () => []);
+  let leafCount = 0;
+  const newNode = (level) => {
+    const node = { r: 0, g: 0, b: 0, n: 0, children: null, leaf: level === 8 };
+    if (node.leaf) leafCount++;
+    else levels[level].push(node);
+    return node;
+  };
+  const root = newNode(0);
+
+  for (let i = 0; i < rgba.length; i += 4) {
+    if (rgba[i + 3] < 8) continue;
+    const r = rgba[i], g = rgba[i + 1], b = rgba[i + 2];
+    let node = root;
+    for (let level = 0; level < 8; level++) {
+      node.n++;
+      const bit = 7 - level;
+      const ci = (((r >> bit) & 1) << 2) | (((g >> bit) & 1) << 1) | ((b >> bit) & 1);
+      node.children ||= new Array(8).fill(null);
+      node = node.children[ci] ||= newNode(level + 1);
+    }
+    node.n++; node.r += r; node.g += g; node.b += b;
+  }
+  if (!root.n) return [];
+
+  for (let level = 7; level >= 0 && leafCount > k; level--) {
+    const nodes = levels[level].sort((a, b) => a.n - b.n);
+    for (let i = 0; i < nodes.length && leafCount > k; i++) {
+      const node = nodes[i];
+      const kids = node.children.filter(Boolean);
+      // folding every child would undershoot k: merge just the smallest few
+      if (kids.length - 1 > leafCount - k) {
+        const few = kids.sort((a, b) => a.n - b.n).slice(0, leafCount - k + 1);
+        const merged = { r: 0, g: 0, b: 0, n: 0, children: null, leaf: true };
+        for (const c of few) {
+          merged.r += c.r; merged.g += c.g; merged.b += c.b; merged.n += c.n;
+          node.children[node.children.indexOf(c)] = null;
+        }
+        node.children[node.children.indexOf(null)] = merged;
+        leafCount = k;
+        break;
+      }
+      for (const c of kids) { node.r += c.r; node.g += c.g; node.b += c.b; }
+      node.children = null;
+      node.leaf = true;
+      leafCount -= kids.length - 1;
+    }
+  }
+
+  const out = [];
+  const walk = (node) => {
+    if (node.leaf) { out.push([node.r / node.n, node.g / node.n, node.b / node.n]); return; }
+    node.children.forEach(c => { if (c) walk(c); });
+  };
+  walk(root);
+  return out;
+}
+
+// ---------- Wu ----------
+const SIDE = 33; // 32 bins per channel + a zero row for the prefix sums
+const at = (r, g, b) => (r * SIDE + g) * SIDE + b;
+
+function volume(c, m) {
+  return m[at(c.r1, c.g1, c.b1)] - m[at(c.r1, c.g1, c.b0)] - m[at(c.r1, c.g0, c.b1)] + m[at(c.r1, c.g0, c.b0)]
+       - m[at(c.r0, c.g1, c.b1)] + m[at(c.r0, c.g1, c.b0)] + m[at(c.r0, c.g0, c.b1)] - m[at(c.r0, c.g0, c.b0)];
+}
+
+function bottom(c, dir, m) {
+  switch (dir) {
+    case 0: return -m[at(c.r0, c.g1, c.b1)] + m[at(c.r0, c.g1, c.b0)] + m[at(c.r0, c.g0, c.b1)] - m[at(c.r0, c.g0, c.b0)];
+    case 1: return -m[at(c.r1, c.g0, c.b1)] + m[at(c.r1, c.g0, c.b0)] + m[at(c.r0, c.g0, c.b1)] - m[at(c.r0, c.g0, c.b0)];
+    default: return -m[at(c.r1, c.g1, c.b0)] + m[at(c.r1, c.g0, c.b0)] + m[at(c.r0, c.g1, c.b0)] - m[at(c.r0, c.g0, c.b0)];
+  }
+}
+
+function top(c, dir, pos, m) {
+  switch (dir) {
+    case 0: return m[at(pos, c.g1, c.b1)] - m[at(pos, c.g1, c.b0)] - m[at(pos, c.g0, c.b1)] + m[at(pos, c.g0, c.b0)];
+    case 1: return m[at(c.r1, pos, c.b1)] - m[at(c.r1, pos, c.b0)] - m[at(c.r0, pos, c.b1)] + m[at(c.r0, pos, c.b0)];
+    default: return m[at(c.r1, c.g1, pos)] - m[at(c.r1, c.g0, pos)] - m[at(c.r0, c.g1, pos)] + m[at(c.r0, c.g0, pos)];
+  }
+}
+
+/**
+ * Wu's greedy orthogonal bipartition: a 32³ histogram with cumulative moments
+ * lets every candidate cut be scored in O(1); each step splits the box whose
+ * variance is largest, at the plane that reduces it most.
+ */
+export function wu(rgba, k) {
+  const size = SIDE * SIDE * SIDE;
+  const wt = new Float64Array(size), mr = new Float64Array(size),
+        mg = new Float64Array(size), mb = new Float64Array(size), m2 = new Float64Array(size);
+
+  let total = 0;
+  for (let i = 0; i < rgba.length; i += 4) {
+    if (rgba[i + 3] < 8) continue;
+    const r = rgba[i], g = rgba[i + 1], b = rgba[i + 2];
+    const j = at((r >> 3) + 1, (g >> 3) + 1, (b >> 3) + 1);
+    wt[j]++; mr[j] += r; mg[j] += g; mb[j] += b; m2[j] += r * r + g * g + b * b;
+    total++;
+  }
+  if (!total) return [];
+
+  // cumulative moments
+  const moments = [wt, mr, mg, mb, m2];
+  for (const m of moments) {
+    for (let r = 1; r < SIDE; r++) {
+      const area = new Float64Array(SIDE);
+      for (let g = 1; g < SIDE; g++) {
+        let line = 0;
+        for (let b = 1; b < SIDE; b++) {
+          const j = at(r, g, b);
+          line += m[j];
+          area[b] += line;
+          m[j] = m[at(r - 1, g, b)] + area[b];
+        }
+      }
+    }
+  }
+
+  const variance = (c) => {
+    const dr = volume(c, mr), dg = volume(c, mg), db = volume(c, mb);
+    return volume(c, m2) - (dr * dr + dg * dg + db * db) / volume(c, wt);
+  };
+
+  const maximize = (c, dir, first, last, whole) => {
+    const base = [bottom(c, dir, mr), bottom(c, dir, mg), bottom(c, dir, mb), bottom(c, dir, wt)];
+    let max = 0, cut = -1;
+    for (let i = first; i < last; i++) {
+      const hr = base[0] + top(c, dir, i, mr), hg = base[1] + top(c, dir, i, mg);
+      const hb = base[2] + top(c, dir, i, mb), hw = base[3] + top(c, dir, i, wt);
+      if (hw === 0) continue;
+      const ow = whole[3] - hw;
+      if (ow === 0) continue;
+      const or = whole[0] - hr, og = whole[1] - hg, ob = whole[2] - hb;
+      const t = (hr * hr + hg * hg + hb * hb) / hw + (or * or + og * og + ob * ob) / ow;
+      if (t > max) { max = t; cut = i; }
+    }
+    return { max, cut };
+  };
+
+  const cutBox = (a, b) => {
+    const whole = [volume(a, mr), volume(a, mg), volume(a, mb), volume(a, wt)];
+    const byDir = [
+      maximize(a, 0, a.r0 + 1, a.r1, whole),
+      maximize(a, 1, a.g0 + 1, a.g1, whole),
+      maximize(a, 2, a.b0 + 1, a.b1, whole),
+    ];
+    let dir = 0;
+    if (byDir[1].max > byDir[dir].max) dir = 1;
+    if (byDir[2].max > byDir[dir].max) dir = 2;
+    const { cut } = byDir[dir];
+    if (cut < 0) return false;
+
+    b.r1 = a.r1; b.g1 = a.g1; b.b1 = a.b1;
+    if (dir === 0) { b.r0 = a.r1 = cut; b.g0 = a.g0; b.b0 = a.b0; }
+    else if (dir === 1) { b.g0 = a.g1 = cut; b.r0 = a.r0; b.b0 = a.b0; }
+    else { b.b0 = a.b1 = cut; b.r0 = a.r0; b.g0 = a.g0; }
+    a.vol = (a.r1 - a.r0) * (a.g1 - a.g0) * (a.b1 - a.b0);
+    b.vol = (b.r1 - b.r0) * (b.g1 - b.g0) * (b.b1 - b.b0);
+    return true;
+  };
+
+  const boxes = [{ r0: 0, r1: 32, g0: 0, g1: 32, b0: 0, b1: 32, vol: 32 * 32 * 32 }];
+  const vv = [0];
+  let next = 0;
+  for (let i = 1; i < k; i++) {
+    const nb = { r0: 0, r1: 0, g0: 0, g1: 0, b0: 0, b1: 0, vol: 0 };
+    if (cutBox(boxes[next], nb)) {
+      boxes.push(nb);
+      vv[next] = boxes[next].vol > 1 ? variance(boxes[next]) : 0;
+      vv[i] = nb.vol > 1 ? variance(nb) : 0;
+    } else {
+      vv[next] = 0;
+      i--;
+    }
+    next = 0;
+    for (let j = 1; j < boxes.length; j++) if (vv[j] > vv[next]) next = j;
+    if (vv[next] <= 0) break;
+  }
+
+  const out = [];
+  for (const c of boxes) {
+    const w = volume(c, wt);
+    if (w > 0) out.push([volume(c, mr) / w, volume(c, mg) / w, volume(c, mb) / w]);
+  }
+  return out;
+}
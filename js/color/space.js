@@ -64,13 +64,20 @@ export function hslToRgb(h, s, l) {
   };
 }
 
-// ---------- RGB -> Lab (D65) & ΔE ----------
-function srgbToLinear(u) {
+// ---------- RGB -> Lab (D65) ----------
+// ΔE metrics live in ./distance.js
+export function srgbToLinear(u) {
   u /= 255;
   return (u <= 0.04045) ? (u / 12.92) : Math.pow((u + 0.055) / 1.055, 2.4);
 }
 
-function rgbToXyz(r, g, b) {
+/** Linear-light 0..1 -> gamma-encoded 0..255 (unclamped, unrounded) */
+export function linearToSrgb(v) {
+  const s = (v <= 0.0031308) ? (12.92 * v) : (1.055 * Math.pow(v, 1 / 2.4) - 0.055);
+  return s * 255;
+}
+
+export function rgbToXyz(r, g, b) {
   const rl = srgbToLinear(r), gl = srgbToLinear(g), bl = srgbToLinear(b);
   // sRGB D65 matrix
   return [
@@ -97,10 +104,124 @@ export function rgbToLab(r, g, b) {
   return xyzToLab(x, y, z);
 }
 
-// CIEDE2000-ish fast ΔE (matches your previous usage)
-export const deltaE2Weighted = (l1, a1, b1, l2, a2, b2) => {
-  const dL = l1 - l2;
-  const dA = a1 - a2;
-  const dB = b1 - b2;
-  return Math.sqrt(dL * dL + (dA * dA) + (dB * dB));
-};
+/** CIE Lab (D65) -> linear sRGB (0..1, may fall outside the gamut) */
+function labToLinear(L, a, b) {
+  const fy = (L + 16) / 116, fx = fy + a / 500, fz = fy - b / 200;
+  const inv = t => (t > 0.206893) ? t * t * t : (t - 16 / 116) / 7.787;
+  const x = inv(fx) * 0.95047, y = inv(fy), z = inv(fz) * 1.08883;
+  return [
+     3.2404542 * x - 1.5371385 * y - 0.4985314 * z,
+    -0.9692660 * x + 1.8760108 * y + 0.0415560 * z,
+     0.0556434 * x - 0.2040259 * y + 1.0572252 * z
+  ];
+}
+
+/** CIE Lab -> sRGB {r,g,b} 0..255 (clipped) */
+export function labToRgb(L, a, b) {
+  const [rl, gl, bl] = labToLinear(L, a, b);
+  return {
+    r: Math.round(clamp(linearToSrgb(rl), 0, 255)),
+    g: Math.round(clamp(linearToSrgb(gl), 0, 255)),
+    b: Math.round(clamp(linearToSrgb(bl), 0, 255))
+  };
+}
+
+/** sRGB -> CIE LCh(ab) {l: 0..100, c, h: degrees} */
+export function rgbToLch(r, g, b) {
+  const [L, a, bb] = rgbToLab(r, g, b);
+  const c = Math.hypot(a, bb);
+  let h = Math.atan2(bb, a) * 180 / Math.PI;
+  if (h < 0) h += 360;
+  return { l: L, c, h: c < 1e-4 ? 0 : h };
+}
+
+/** CIE LCh(ab) -> sRGB {r,g,b}; out-of-gamut chroma is reduced as in oklchToRgb() */
+export function lchToRgb(l, c, h) {
+  l = clamp(l, 0, 100);
+  const hr = h * Math.PI / 180;
+  const inGamut = (cc) =>
+    labToLinear(l, cc * Math.cos(hr), cc * Math.sin(hr)).every(v => v >= -1e-4 && v <= 1 + 1e-4);
+  if (!inGamut(c)) {
+    let lo = 0, hi = Math.max(0, c);
+    for (let i = 0; i < 20; i++) {
+      const mid = (lo + hi) / 2;
+      if (inGamut(mid)) lo = mid; else hi = mid;
+    }
+    c = lo;
+  }
+  return labToRgb(l, c * Math.cos(hr), c * Math.sin(hr));
+}
+
+// ---------- OKLab / OKLCH (Björn Ottosson, 2020) ----------
+export function rgbToOklab(r, g, b) {
+  const rl = srgbToLinear(r), gl = srgbToLinear(g), bl = srgbToLinear(b);
+  const l = Math.cbrt(0.4122214708 * rl + 0.5363325363 * gl + 0.0514459929 * bl);
+  const m = Math.cbrt(0.2119034982 * rl + 0.6806995451 * gl + 0.1073969566 * bl);
+  const s = Math.cbrt(0.0883024619 * rl + 0.2817188376 * gl + 0.6299787005 * bl);
+  return [
+    0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s,
+    1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s,
+    0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s
+  ];
+}
+
+/** OKLab -> linear sRGB (0..1, may fall outside the gamut) */
+function oklabToLinear(L, a, b) {
+  const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s = Math.pow(L - 0.0894841775 * a - 1.2914855480 * b, 3);
+  return [
+    +4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+    -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+    -0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s
+  ];
+}
+
+/** OKLab -> sRGB {r,g,b} 0..255 (clipped) */
+export function oklabToRgb(L, a, b) {
+  const [rl, gl, bl] = oklabToLinear(L, a, b);
+  return {
+    r: Math.round(clamp(linearToSrgb(rl), 0, 255)),
+    g: Math.round(clamp(linearToSrgb(gl), 0, 255)),
+    b: Math.round(clamp(linearToSrgb(bl), 0, 255))
+  };
+}
+
+export function oklabToOklch(L, a, b) {
+  const c = Math.hypot(a, b);
+  let h = Math.atan2(b, a) * 180 / Math.PI;
+  if (h < 0) h += 360;
+  return { l: L, c, h: c < 1e-6 ? 0 : h };
+}
+
+export function oklchToOklab(l, c, h) {
+  const hr = h * Math.PI / 180;
+  return [l, c * Math.cos(hr), c * Math.sin(hr)];
+}
+
+export function rgbToOklch(r, g, b) {
+  const [L, a, bb] = rgbToOklab(r, g, b);
+  return oklabToOklch(L, a, bb);
+}
+
+/**
+ * OKLCH -> sRGB {r,g,b}. Out-of-gamut colors are brought in by lowering
+ * chroma at constant L and h, so lightness edits don't drift in hue.
+ */
+export function oklchToRgb(l, c, h) {
+  l = clamp(l, 0, 1);
+  const inGamut = (cc) => {
+    const [L, a, b] = oklchToOklab(l, cc, h);
+    return oklabToLinear(L, a, b).every(v => v >= -1e-4 && v <= 1 + 1e-4);
+  };
+  if (!inGamut(c)) {
+    let lo = 0, hi = Math.max(0, c);
+    for (let i = 0; i < 20; i++) {
+      const mid = (lo + hi) / 2;
+      if (inGamut(mid)) lo = mid; else hi = mid;
+    }
+    c = lo;
+  }
+  const [L, a, b] = oklchToOklab(l, c, h);
+  return oklabToRgb(L, a, b);
+}
@@ -1,37 +1,45 @@
 // js/color/suggest.js
 // Suggestions for replacement rules
 
-import { rgbToHex, hexToRgb, rgbToLab, deltaE2Weighted } from './space.js';
+import { rgbToHex, hexToRgb } from './space.js';
+import { createMetric } from './distance.js';
+import { predictMix, DEFAULT_MIX_MODEL } from './mixing.js';
+
+// Palette entries arrive either as [r,g,b] or as HEX strings (app.js)
+function inkRgb(p){
+  if (typeof p === 'string'){ const c = hexToRgb(p); return c ? [c.r,c.g,c.b] : null; }
+  return p ? [p[0], p[1], p[2]] : null;
+}
 
 /**
  * Suggest a two-ink mix (checker) that approximates a target color.
- * Returns { err, pattern:'checker', inks:[iA,iB], density:0..1 } or null
+ * opts: { metric, wL, wC } — see createMetric() in distance.js
+ *       { model } — mixing model used to predict the mix, see MIX_MODELS in mixing.js
+ * Returns { err, pattern:'checker', inks:[iA,iB], density:0..1, hex, model } or null
+ * where hex is the predicted mix color and err its ΔE to the target.
  */
-export function smartMixSuggest(targetHex, palette, allowedIndices){
+export function smartMixSuggest(targetHex, palette, allowedIndices, opts = {}){
   const target = hexToRgb(targetHex);
   if(!target) return null;
-  const tl = rgbToLab(target.r, target.g, target.b);
+  const metric = createMetric(opts.metric, opts);
+  const tl = metric.convert(target.r, target.g, target.b);
 
-  const inks = allowedIndices.map(i => ({
-    i,
-    rgb: [palette[i][0], palette[i][1], palette[i][2]],
-    lab: rgbToLab(palette[i][0],palette[i][1],palette[i][2])
-  }));
+  const model = opts.model || DEFAULT_MIX_MODEL;
+  const inks = allowedIndices
+    .map(i => ({ i, rgb: inkRgb(palette[i]) }))
+    .filter(ink => ink.rgb);
 
   let best = null;
   for (let a = 0; a < inks.length; a++){
     for (let b = a + 1; b < inks.length; b++){
       for (let d = 0; d <= 10; d++){
         const w = d/10;
-        const mix = [
-          Math.round(inks[a].rgb[0]*w + inks[b].rgb[0]*(1-w)),
-          Math.round(inks[a].rgb[1]*w + inks[b].rgb[1]*(1-w)),
-          Math.round(inks[a].rgb[2]*w + inks[b].rgb[2]*(1-w)),
-        ];
-        const ml  = rgbToLab(mix[0],mix[1],mix[2]);
-        const err = deltaE2Weighted(ml, tl, 1, 1);
+        const mix = predictMix([inks[a].rgb, inks[b].rgb], [w, 1-w], model);
+        const ml  = metric.convert(mix[0],mix[1],mix[2]);
+        const err = metric.distance(tl, ml);
         if(!best || err < best.err){
-          best = { err, pattern:'checker', inks:[inks[a].i, inks[b].i], density:w };
+          best = { err, pattern:'checker', inks:[inks[a].i, inks[b].i], density:w,
+                   hex: rgbToHex(mix[0],mix[1],mix[2]).toUpperCase(), model };
         }
       }
     }
@@ -41,10 +49,11 @@ export function smartMixSuggest(targetHex, palette, allowedIndices){
 
 /**
  * Analyze the source canvas and propose a handful of rules by hue/luma.
+ * opts are forwarded to smartMixSuggest / createMetric.
  * Returns an array of rules like:
  *   { enabled:true, targetHex:'#RRGGBB', pattern:'checker', inks:[iA,iB], density:0..1 }
  */
-export function suggestByHueLuma(srcCanvas, palette, allowedIndices){
+export function suggestByHueLuma(srcCanvas, palette, allowedIndices, opts = {}){
   if (!srcCanvas || !srcCanvas.width || !srcCanvas.height) return [];
 
   // Downsample for speed
@@ -106,7 +115,7 @@ export function suggestByHueLuma(srcCanvas, palette, allowedIndices){
   const rules = [];
   targets.forEach(hex=>{
     // Try a two-ink checker mix first
-    const mix = smartMixSuggest(hex, palette, allowedIndices);
+    const mix = smartMixSuggest(hex, palette, allowedIndices, opts);
     if (mix && mix.inks && mix.inks.length === 2){
       rules.push({
         enabled: true,
@@ -118,11 +127,12 @@ export function suggestByHueLuma(srcCanvas, palette, allowedIndices){
     } else {
       // Fallback: single nearest ink rule
       let best = {i: allowedIndices[0] ?? 0, dE: 1e9};
-      const tlab = (()=>{ const c=hexToRgb(hex); return rgbToLab(c.r,c.g,c.b); })();
+      const metric = createMetric(opts.metric, opts);
+      const tpt = (()=>{ const c=hexToRgb(hex); return metric.convert(c.r,c.g,c.b); })();
       for (const i of allowedIndices){
-        const p = palette[i]; if (!p) continue;
-        const plab = rgbToLab(p[0],p[1],p[2]);
-        const dE = deltaE2Weighted(tlab, plab, 1, 1);
+        const p = inkRgb(palette[i]); if (!p) continue;
+        const ppt = metric.convert(p[0],p[1],p[2]);
+        const dE = metric.distance(tpt, ppt);
         if (dE < best.dE) best = {i, dE};
       }
       rules.push({
@@ -16,9 +16,12 @@ export function initFullscreen(els){
   bus.on('image:loaded', ()=>{ if(active) draw(); });
 }
 function sizeToViewport(){
+  const src=State.preview.canvas;
   const vw=window.innerWidth, vh=window.innerHeight;
   const rightW=(vw>900)?320:0, toolbarH=46;
-  canvas.width=vw-rightW; canvas.height=vh-toolbarH;
+  // keep the source aspect so lasso masks line up with the image
+  const s=Math.min((vw-rightW)/src.width, (vh-toolbarH)/src.height);
+  canvas.width=Math.max(1,Math.round(src.width*s)); canvas.height=Math.max(1,Math.round(src.height*s));
   ocanvas.width=canvas.width; ocanvas.height=canvas.height;
 }
 function draw(){
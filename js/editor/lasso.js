@@ -41,7 +41,7 @@ export function enableLasso(els){
     if(!pts.length) return;
     // build allowed set from checkboxes in UI
     const checks=[...els.lassoChecks?.querySelectorAll('input[type=checkbox]')||[]];
-    const allowed=new Set(); checks.forEach((cb,i)=>{ if(cb.checked) allowed.add(i); });
+    const allowed=new Set(); checks.forEach(cb=>{ if(cb.checked) allowed.add(cb.value); });
     const mask=toMask(pts, State.preview.canvas.width, State.preview.canvas.height);
     addRegion({ type:'polygon', points:pts.slice(), mask, allowed });
     toast('Region saved');
@@ -0,0 +1,86 @@
+// js/export/coverage.js
+// Ink coverage and consumption estimates for quoting.
+//
+// Coverage is the share of the whole print area each ink covers, read from
+// the mapped ImageData. Pattern rules print their inks pixel by pixel, so
+// mixes are counted as the inks they are made of; anything off-palette
+// (sharpening halos) counts toward the nearest ink. Transparent /
+// knocked-out pixels are unprinted.
+//
+// Volume: a wet deposit of t µm over 1 m² is t cm³, so
+//   ml per print = print area (m²) × coverage × deposit (µm)
+
+// Typical wet deposit (µm) for standard-thread PET mesh with a thin stencil,
+// by mesh count (threads/inch). A starting point when the shop has no
+// measured figure; real deposits vary with thread, stencil and squeegee.
+const MESH_DEPOSIT = [
+  [60, 70], [86, 50], [110, 38], [125, 32], [156, 25], [196, 18], [230, 14], [305, 9],
+];
+
+/** Rough wet deposit in µm for a mesh count (threads/inch), interpolated from MESH_DEPOSIT */
+export function depositForMesh(mesh) {
+  const m = Number(mesh);
+  if (!Number.isFinite(m) || m <= 0) return 0;
+  const t = MESH_DEPOSIT;
+  if (m <= t[0][0]) return t[0][1];
+  for (let i = 1; i < t.length; i++) {
+    if (m <= t[i][0]) {
+      const [m0, d0] = t[i - 1], [m1, d1] = t[i];
+      return d0 + (d1 - d0) * (m - m0) / (m1 - m0);
+    }
+  }
+  return t[t.length - 1][1];
+}
+
+/**
+ * Share of the image area covered by each ink.
+ * @param {ImageData} imgData - mapped output
+ * @param {{r:number,g:number,b:number}[]} inks
+ * @returns {{coverage:number[], unprinted:number}} fractions of the whole area (0..1)
+ */
+export function inkCoverage(imgData, inks) {
+  const d = imgData.data;
+  const n = d.length / 4;
+  const sums = new Float64Array(inks.length);
+  let unprinted = 0;
+  if (!n || !inks.length) return { coverage: Array.from(sums), unprinted: n ? 1 : 0 };
+
+  // packed RGB -> ink index (the first of equal inks)
+  const known = new Map();
+  inks.forEach((p, i) => { const k = (p.r << 16) | (p.g << 8) | p.b; if (!known.has(k)) known.set(k, i); });
+  const nearest = (r, g, b) => {
+    let best = 0, bestD = Infinity;
+    inks.forEach((p, i) => {
+      const dr = r - p.r, dg = g - p.g, db = b - p.b;
+      const dd = dr * dr + dg * dg + db * db;
+      if (dd < bestD) { bestD = dd; best = i; }
+    });
+    return best;
+  };
+
+  for (let i = 0; i < d.length; i += 4) {
+    const a = d[i + 3] / 255;
+    unprinted += 1 - a;
+    if (!a) continue;
+    const key = (d[i] << 16) | (d[i + 1] << 8) | d[i + 2];
+    let ink = known.get(key);
+    if (ink === undefined) { ink = nearest(d[i], d[i + 1], d[i + 2]); known.set(key, ink); }
+    sums[ink] += a;
+  }
+  return { coverage: Array.from(sums, s => s / n), unprinted: unprinted / n };
+}
+
+/**
+ * Ink volume per print and per run.
+ * @param {number[]} coverage - from inkCoverage()
+ * @param {{widthMm:number, heightMm:number, depositUm:number, prints?:number}} job
+ * @returns {{perPrint:number, perRun:number}[]} millilitres, one entry per ink
+ */
+export function inkVolumes(coverage, { widthMm, heightMm, depositUm, prints = 1 }) {
+  const areaM2 = Math.max(0, widthMm) * Math.max(0, heightMm) / 1e6;
+  const runs = Math.max(0, prints | 0);
+  return coverage.map(c => {
+    const perPrint = areaM2 * c * Math.max(0, depositUm);
+    return { perPrint, perRun: perPrint * runs };
+  });
+}
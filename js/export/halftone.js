@@ -0,0 +1,134 @@
+// js/export/halftone.js
+// AM halftone preview: how the mapped inks print once tints are screened.
+//
+// Each ink's tone is its coverage of the mapped image averaged over about
+// one screen cell (solid areas stay solid; dithered / patterned areas become
+// tints). Every ink is then screened on its own rotated grid: a threshold
+// matrix built from the dot shape's spot function (ranked, so a tone of t
+// covers exactly t of the cell) says which pixels the dot covers. Press dot
+// gain grows the dots (gain at 50% tone, tapering to 0 at 0% and 100%);
+// compensation shrinks the film dots so the printed tone comes out as mapped.
+// Inks overprint multiplicatively over the substrate color.
+
+import { hash01 } from '../color/patterns.js';
+import { inkIndexMap } from './separations.js';
+import { boxBlur } from '../mapping/regions.js';
+
+export const DOT_SHAPES = [
+  { id: 'round',      label: 'Round' },
+  { id: 'elliptical', label: 'Elliptical' },
+  { id: 'square',     label: 'Square' },
+  { id: 'line',       label: 'Line' },
+];
+// Screen angles 30° apart from 22.5°, a common starting set for spot colors
+export const DEFAULT_ANGLES = [22.5, 52.5, 82.5, 7.5, 37.5, 67.5];
+export const DEFAULT_LPI = 55;
+
+const MATRIX = 64; // threshold matrix resolution per cell
+const matrices = new Map();
+
+// Spot functions over cell coordinates u, v in [-1, 1]: smaller values are inked first
+const SPOTS = {
+  round:      (u, v) => u * u + v * v,
+  elliptical: (u, v) => u * u + (v * v) / 0.56, // 1 : 0.75 dots that chain along u
+  square:     (u, v) => Math.max(Math.abs(u), Math.abs(v)),
+  line:       (u, v) => Math.abs(v),
+};
+
+// Ranked spot values -> thresholds in (0, 1), one cell of MATRIX² samples
+function thresholdMatrix(shape) {
+  const id = SPOTS[shape] ? shape : 'round';
+  if (!matrices.has(id)) {
+    const spot = SPOTS[id];
+    const n = MATRIX * MATRIX;
+    const vals = new Float64Array(n);
+    for (let y = 0; y < MATRIX; y++) {
+      for (let x = 0; x < MATRIX; x++) {
+        vals[y * MATRIX + x] = spot(((x + 0.5) / MATRIX) * 2 - 1, ((y + 0.5) / MATRIX) * 2 - 1);
+      }
+    }
+    const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => vals[a] - vals[b] || a - b);
+    const m = new Float32Array(n);
+    order.forEach((i, rank) => { m[i] = (rank + 0.5) / n; });
+    matrices.set(id, m);
+  }
+  return matrices.get(id);
+}
+
+/** Printed tone for film tone t with `gain` (0..1) at 50% */
+export function printedTone(t, gain) {
+  return Math.min(1, t + gain * 4 * t * (1 - t));
+}
+
+/** Film tone that prints as t with `gain` (inverse of printedTone) */
+export function compensatedTone(t, gain) {
+  if (!(gain > 0)) return t;
+  const a = 1 + 4 * gain;
+  return (a - Math.sqrt(a * a - 16 * gain * t)) / (8 * gain);
+}
+
+/**
+ * Halftone simulation of a mapped image.
+ * @param {ImageData} imgData - mapped output
+ * @param {{r:number,g:number,b:number}[]} inks - the inks it was mapped to
+ * @param {{screens?:{angle?:number, lpi?:number, shape?:string}[], cell?:number,
+ *   bg?:{r:number,g:number,b:number}, gain?:number, compensate?:boolean, jitter?:boolean}} [opts]
+ *   screens: per ink (missing entries get DEFAULT_ANGLES / DEFAULT_LPI / round)
+ *   cell: preview cell size (px) of the coarsest screen; finer rulings scale
+ *   down in proportion, so relative rulings and angles (moiré) stay visible
+ *   gain: press dot gain at 50% (0..1); compensate: pre-shrink film dots for it
+ *   jitter: shift each dot by up to ±15% of a cell (worn mesh, uneven squeegee)
+ * @returns {ImageData} opaque ImageData of the same size
+ */
+export function halftone(imgData, inks, {
+  screens = [], cell = 6, bg = { r: 255, g: 255, b: 255 }, gain = 0, compensate = false, jitter = false,
+} = {}) {
+  const w = imgData.width, h = imgData.height, n = w * h;
+  const out = new ImageData(w, h);
+  const d = out.data;
+  for (let i = 0; i < d.length; i += 4) { d[i] = bg.r; d[i + 1] = bg.g; d[i + 2] = bg.b; d[i + 3] = 255; }
+  if (!inks.length) return out;
+
+  const index = inkIndexMap(imgData, inks);
+  const scr = inks.map((_, k) => ({
+    angle: Number.isFinite(screens[k]?.angle) ? screens[k].angle : DEFAULT_ANGLES[k % DEFAULT_ANGLES.length],
+    lpi: screens[k]?.lpi > 0 ? screens[k].lpi : DEFAULT_LPI,
+    shape: screens[k]?.shape || 'round',
+  }));
+  const minLpi = Math.min(...scr.map(s => s.lpi));
+  const g = Math.max(0, Math.min(1, gain));
+
+  const plate = new Float32Array(n);
+  for (let k = 0; k < inks.length; k++) {
+    const s = scr[k];
+    const size = Math.max(1, Math.max(3, cell) * minLpi / s.lpi);
+    for (let p = 0; p < n; p++) plate[p] = index[p] === k ? 1 : 0;
+    const tone = boxBlur(plate, w, h, Math.max(1, Math.round(size / 2)));
+
+    const m = thresholdMatrix(s.shape);
+    const rad = s.angle * Math.PI / 180, cos = Math.cos(rad), sin = Math.sin(rad);
+    const ink = inks[k];
+    const fr = ink.r / 255, fg = ink.g / 255, fb = ink.b / 255;
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const p = y * w + x;
+        let t = tone[p];
+        if (t <= 0) continue;
+        if (compensate) t = compensatedTone(t, g);
+        t = printedTone(t, g);
+        // position in the rotated screen, in cells
+        let cu = (x * cos + y * sin) / size, cv = (y * cos - x * sin) / size;
+        if (jitter) {
+          const iu = Math.floor(cu), iv = Math.floor(cv);
+          cu += (hash01(iu, iv, 11 + k) - 0.5) * 0.3;
+          cv += (hash01(iu, iv, 23 + k) - 0.5) * 0.3;
+        }
+        const mx = Math.floor((cu - Math.floor(cu)) * MATRIX), my = Math.floor((cv - Math.floor(cv)) * MATRIX);
+        if (m[my * MATRIX + mx] >= t) continue;
+        const i = p * 4;
+        d[i] = Math.round(d[i] * fr); d[i + 1] = Math.round(d[i + 1] * fg); d[i + 2] = Math.round(d[i + 2] * fb);
+      }
+    }
+  }
+  return out;
+}
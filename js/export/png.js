@@ -1,4 +1,5 @@
 // export/png.js
+/** Encode imageData as PNG, upscaled `scale`× (nearest neighbour). Resolves to a Blob. */
 export function exportPNG(imageData, scale = 1) {
   const src = imageData;
   const c = document.createElement('canvas');
@@ -13,11 +14,7 @@ export function exportPNG(imageData, scale = 1) {
   ctx.imageSmoothingEnabled = false;
   ctx.drawImage(tmp, 0, 0, c.width, c.height);
 
-  c.toBlob(blob => {
-    const a = document.createElement('a');
-    a.download = 'palette-mapped.png';
-    a.href = URL.createObjectURL(blob);
-    a.click();
-    setTimeout(()=>URL.revokeObjectURL(a.href), 1500);
-  }, 'image/png');
+  return new Promise((resolve, reject) => {
+    c.toBlob(blob => (blob ? resolve(blob) : reject(new Error('PNG encoding failed'))), 'image/png');
+  });
 }
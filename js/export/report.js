@@ -1,45 +1,20 @@
-// js/export/report.js — PMS loader + reporting helpers (compat-safe)
+// js/export/report.js — ink library lookups + reporting helpers (compat-safe)
 
 import { State } from '../state.js';
-import { rgbToHex, hexToRgb, rgbToLab, deltaE2Weighted } from '../color/space.js';
+import { rgbToHex } from '../color/space.js';
+import { getLibrary, loadLibraryUrl, nearestInk } from '../color/libraries.js';
 
-/** Load PMS JSON into State.PMS once (array of {name, hex}) */
+/** Load the PMS library once (array of {name, hex, lab}) */
 export async function loadPmsJson(url) {
-  if (State.PMS && State.PMS.length) return State.PMS;
-  const res = await fetch(url, { cache: 'no-cache' });
-  if (!res.ok) throw new Error('Failed to load PMS JSON: ' + res.status);
-  const list = await res.json();
-  // Normalize: ensure {name, hex} and uppercase hex
-  State.PMS = (Array.isArray(list) ? list : []).map(x => ({
-    name: String(x.name || 'PMS'),
-    hex:  String(x.hex || '#000000').toUpperCase()
-  }));
-  State.PMSCache = new Map();
-  return State.PMS;
+  const have = getLibrary('pms-coated');
+  if (have && have.inks.length) return have.inks;
+  const lib = await loadLibraryUrl(url, { id: 'pms-coated', name: 'PMS Solid Coated' });
+  return lib.inks;
 }
 
-/** Find nearest PMS entry to a given HEX (returns {name, hex, dE}) */
+/** Find the nearest ink in the active library to a given HEX by CIEDE2000 (returns {name, hex, dE}) */
 export function nearestPms(hex) {
-  if (!hex) return { name: '—', hex: '#000000', dE: 0 };
-  const key = String(hex).toUpperCase();
-  if (State.PMSCache && State.PMSCache.has(key)) return State.PMSCache.get(key);
-
-  const rgb = hexToRgb(key);
-  if (!rgb) return { name: '—', hex: '#000000', dE: 0 };
-  const lab = rgbToLab(rgb.r, rgb.g, rgb.b);
-
-  let best = null;
-  for (let i = 0; i < (State.PMS ? State.PMS.length : 0); i++) {
-    const p = State.PMS[i];
-    const prgb = hexToRgb(p.hex);
-    if (!prgb) continue;
-    const plab = rgbToLab(prgb.r, prgb.g, prgb.b);
-    const dE = deltaE2Weighted(lab, plab, 1, 1);
-    if (!best || dE < best.dE) best = { name: p.name, hex: p.hex, dE };
-  }
-  if (!best) best = { name: '—', hex: '#000000', dE: 0 };
-  if (State.PMSCache) State.PMSCache.set(key, best);
-  return best;
+  return nearestInk(hex);
 }
 
 /** Build a printable report string of the final inks currently selected */
@@ -60,6 +35,11 @@ export function buildPrinterReport() {
   });
 
   const lines = [];
+  if (State.codeMode === 'pms') {
+    const lib = getLibrary();
+    lines.push('Ink library: ' + (lib ? lib.name : 'none loaded'));
+    lines.push('');
+  }
   lines.push('Final inks (after replacements):');
   finalHexes.forEach((hx, i) => {
     if (State.codeMode === 'pms') {
@@ -69,6 +49,38 @@ export function buildPrinterReport() {
       lines.push((i + 1) + '. ' + hx);
     }
   });
+
+  // Substrate is not an ink: list it on its own so nobody mixes it
+  const sub = State.opts && State.opts.substrate;
+  if (sub) {
+    const subHex = String(sub).toUpperCase();
+    lines.push('');
+    lines.push('Substrate (not printed' + (State.opts.knockout ? '; knockout areas show it' : '') + '):');
+    if (State.codeMode === 'pms') {
+      const p = nearestPms(subHex);
+      lines.push('   ' + subHex + ' (nearest ' + p.name + ')');
+    } else {
+      lines.push('   ' + subHex);
+    }
+  }
+
+  // Coverage / consumption estimate from the last mapping (see export/coverage.js)
+  const usage = State.inkUsage;
+  if (usage && usage.inks && usage.inks.length) {
+    const j = usage.job;
+    lines.push('');
+    lines.push('Ink coverage & estimated consumption (' + j.widthMm + ' x ' + j.heightMm + ' mm, ' +
+      j.mesh + ' mesh, ' + j.depositUm + ' um wet deposit, ' + j.prints + ' prints):');
+    let total = 0;
+    usage.inks.forEach((u, i) => {
+      const label = State.codeMode === 'pms' ? nearestPms(u.hex).name + ' (' + u.hex + ')' : u.hex;
+      lines.push((i + 1) + '. ' + label + ': ' + (u.coverage * 100).toFixed(1) + '% coverage, ' +
+        u.perPrint.toFixed(2) + ' ml/print, ' + u.perRun.toFixed(0) + ' ml/run');
+      total += u.perRun;
+    });
+    lines.push('   Unprinted: ' + (usage.unprinted * 100).toFixed(1) + '%');
+    lines.push('   Total: ' + total.toFixed(0) + ' ml/run (excludes setup and waste)');
+  }
   return lines.join('\n');
 }
 
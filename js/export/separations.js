@@ -0,0 +1,57 @@
+// js/export/separations.js
+// Separations: one plate per ink, as film positives (black where the ink
+// prints, white elsewhere), read from the mapped ImageData. Trap masks
+// (export/trap.js) add the spread areas to the spreading ink's plate.
+
+/**
+ * Ink per pixel of the mapped image: exact color matches, anything else
+ * off-palette (sharpening halos) goes to the nearest ink by RGB. Pixels under
+ * half opacity are unprinted (-1).
+ * @param {ImageData} imgData
+ * @param {{r:number,g:number,b:number}[]} inks
+ * @returns {Int16Array}
+ */
+export function inkIndexMap(imgData, inks) {
+  const d = imgData.data;
+  const index = new Int16Array(d.length / 4).fill(-1);
+  if (!inks.length) return index;
+  const known = new Map();
+  inks.forEach((p, i) => { const k = (p.r << 16) | (p.g << 8) | p.b; if (!known.has(k)) known.set(k, i); });
+  for (let i = 0, p = 0; i < d.length; i += 4, p++) {
+    if (d[i + 3] < 128) continue;
+    const key = (d[i] << 16) | (d[i + 1] << 8) | d[i + 2];
+    let ink = known.get(key);
+    if (ink === undefined) {
+      let bestD = Infinity;
+      inks.forEach((q, j) => {
+        const dr = d[i] - q.r, dg = d[i + 1] - q.g, db = d[i + 2] - q.b;
+        const dd = dr * dr + dg * dg + db * db;
+        if (dd < bestD) { bestD = dd; ink = j; }
+      });
+      known.set(key, ink);
+    }
+    index[p] = ink;
+  }
+  return index;
+}
+
+/**
+ * Film-positive plate for one ink (plates are made one at a time: at full
+ * resolution a whole set can run to hundreds of MB).
+ * @param {Int16Array} index - from inkIndexMap()
+ * @param {number} w
+ * @param {number} h
+ * @param {number} ink - index into the inks
+ * @param {{trap?:Uint8Array|null}} [opts] - 1 where this ink spreads under a neighbour (trap.js)
+ * @returns {ImageData}
+ */
+export function separationPlate(index, w, h, ink, { trap = null } = {}) {
+  const img = new ImageData(w, h);
+  const d = img.data;
+  for (let p = 0, i = 0; p < index.length; p++, i += 4) {
+    const v = index[p] === ink || (trap && trap[p]) ? 0 : 255;
+    d[i] = d[i + 1] = d[i + 2] = v;
+    d[i + 3] = 255;
+  }
+  return img;
+}
@@ -0,0 +1,130 @@
+// js/export/trap.js
+// Trapping: where two inks butt, misregistration on press opens a gap of bare
+// substrate between them. The lighter ink (CIE L*) is spread under the darker
+// one by the trap width, so the overlap hides the gap without changing the
+// visible outline. Edges against unprinted substrate are not trapped.
+//
+// Widths are in pixels of the image being trapped (callers convert mm at the
+// print size). Distances are Euclidean between pixel centres, so a 1 px trap
+// is one pixel row of the darker ink.
+
+import { rgbToLab } from '../color/space.js';
+
+export const TRAP_SPREADS = ['auto', 'a', 'b', 'none'];
+
+/**
+ * Spread areas per ink.
+ * @param {Int16Array} index - ink per pixel, -1 unprinted (separations.inkIndexMap)
+ * @param {number} w
+ * @param {number} h
+ * @param {{r:number,g:number,b:number}[]} inks
+ * @param {{width?:number, pairs?:{a:number, b:number, width?:number|null, spread?:string}[], stats?:object|null}} [opts]
+ *   width: default trap in px; pairs: per ink pair overrides (a/b index `inks`;
+ *   width null = default; spread 'auto' (lighter spreads), 'a', 'b' or 'none')
+ *   stats: receives stats.pixels (trap pixels over all inks)
+ * @returns {Uint8Array[]} per ink: 1 where it prints under a neighbour as trap
+ */
+export function trapMasks(index, w, h, inks, { width = 0, pairs = [], stats = null } = {}) {
+  const n = inks.length;
+  const L = inks.map(p => rgbToLab(p.r, p.g, p.b)[0]);
+  // equal lightness: the earlier ink spreads
+  const lighter = (a, b) => L[a] > L[b] || (L[a] === L[b] && a < b);
+  // amount[s * n + t]: how far ink s spreads into ink t (px)
+  const amount = new Float32Array(n * n);
+  for (let a = 0; a < n; a++) {
+    for (let b = 0; b < n; b++) {
+      if (a !== b && lighter(a, b)) amount[a * n + b] = Math.max(0, width);
+    }
+  }
+  for (const p of pairs || []) {
+    const { a, b } = p;
+    if (!(a >= 0 && b >= 0 && a < n && b < n) || a === b) continue;
+    const wd = Number.isFinite(p.width) ? Math.max(0, p.width) : Math.max(0, width);
+    const spread = p.spread === 'a' ? a : p.spread === 'b' ? b : p.spread === 'none' ? -1
+      : lighter(a, b) ? a : b;
+    amount[a * n + b] = amount[b * n + a] = 0;
+    if (spread === a) amount[a * n + b] = wd;
+    else if (spread === b) amount[b * n + a] = wd;
+  }
+
+  const masks = inks.map(() => new Uint8Array(w * h));
+  let pixels = 0;
+  for (let s = 0; s < n; s++) {
+    let reach = 0;
+    for (let t = 0; t < n; t++) reach = Math.max(reach, amount[s * n + t]);
+    if (!reach) continue;
+    const dist2 = distanceSq(index, s, w, h);
+    const mask = masks[s];
+    for (let p = 0; p < index.length; p++) {
+      const t = index[p];
+      if (t < 0 || t === s) continue;
+      const r = amount[s * n + t];
+      if (r > 0 && dist2[p] <= r * r) { mask[p] = 1; pixels++; }
+    }
+  }
+  if (stats) stats.pixels = pixels;
+  return masks;
+}
+
+/**
+ * Preview helper: trap areas tinted with `color` over a copy of `imgData`.
+ * @param {ImageData} imgData - what outCanvas shows
+ * @param {Uint8Array[]} masks - from trapMasks()
+ */
+export function trapOverlay(imgData, masks, color = { r: 255, g: 0, b: 255 }, amount = 0.6) {
+  const out = new ImageData(imgData.width, imgData.height);
+  const d = out.data;
+  d.set(imgData.data);
+  const any = new Uint8Array(d.length / 4);
+  for (const m of masks) for (let p = 0; p < any.length; p++) any[p] |= m[p];
+  for (let p = 0, i = 0; p < any.length; p++, i += 4) {
+    if (!any[p]) continue;
+    d[i]     = Math.round(d[i]     + (color.r - d[i])     * amount);
+    d[i + 1] = Math.round(d[i + 1] + (color.g - d[i + 1]) * amount);
+    d[i + 2] = Math.round(d[i + 2] + (color.b - d[i + 2]) * amount);
+    d[i + 3] = 255;
+  }
+  return out;
+}
+
+// Squared Euclidean distance to the nearest pixel of ink `k`
+// (Felzenszwalb & Huttenlocher: 1-D lower envelopes down columns, then rows)
+function distanceSq(index, k, w, h) {
+  const INF = 1e20;
+  const out = new Float32Array(w * h);
+  for (let i = 0; i < out.length; i++) out[i] = index[i] === k ? 0 : INF;
+  const m = Math.max(w, h);
+  const f = new Float64Array(m), d = new Float64Array(m), z = new Float64Array(m + 1);
+  const v = new Int32Array(m);
+  const pass = (len) => {
+    let j = 0;
+    v[0] = 0; z[0] = -INF; z[1] = INF;
+    for (let q = 1; q < len; q++) {
+      const fq = f[q] + q * q;
+      let s = (fq - (f[v[j]] + v[j] * v[j])) / (2 * q - 2 * v[j]);
+      while (s <= z[j]) {
+        j--;
+        s = (fq - (f[v[j]] + v[j] * v[j])) / (2 * q - 2 * v[j]);
+      }
+      j++;
+      v[j] = q; z[j] = s; z[j + 1] = INF;
+    }
+    j = 0;
+    for (let q = 0; q < len; q++) {
+      while (z[j + 1] < q) j++;
+      const dq = q - v[j];
+      d[q] = dq * dq + f[v[j]];
+    }
+  };
+  for (let x = 0; x < w; x++) {
+    for (let y = 0; y < h; y++) f[y] = out[y * w + x];
+    pass(h);
+    for (let y = 0; y < h; y++) out[y * w + x] = d[y];
+  }
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) f[x] = out[y * w + x];
+    pass(w);
+    for (let x = 0; x < w; x++) out[y * w + x] = d[x];
+  }
+  return out;
+}
@@ -1,6 +1,6 @@
 // js/io/storage.js
 // Persistence helpers for Palette Mapper
-// - LocalStorage: saved palettes + user prefs
+// - LocalStorage: saved palettes + user prefs + user ink libraries
 // - IndexedDB: projects (image + settings + metadata)
 // - Utilities: blobToBase64 / base64ToBlob
 
@@ -9,6 +9,7 @@
 // ----------------------------
 const PALETTES_KEY = 'pm_saved_palettes_v1';
 const PREFS_KEY    = 'pm_prefs_v1';
+const LIBRARIES_KEY = 'pm_ink_libraries_v1';
 
 function lsGet(key, fallback) {
   try {
@@ -45,6 +46,14 @@ export function savePrefs(prefs) {
   return lsSet(PREFS_KEY, prefs && typeof prefs === 'object' ? prefs : {});
 }
 
+// User ink libraries: [{ id, name, inks:[{name, hex, lab}] }]
+export function loadInkLibraries() {
+  return lsGet(LIBRARIES_KEY, []);
+}
+export function saveInkLibraries(libraries) {
+  return lsSet(LIBRARIES_KEY, Array.isArray(libraries) ? libraries : []);
+}
+
 // ----------------------------
 // IndexedDB (projects)
 // ----------------------------
@@ -0,0 +1,326 @@
+// js/io/swatches.js
+// Palette files for other tools:
+//  - Adobe Swatch Exchange (.ase)   Illustrator, InDesign, Affinity
+//  - GIMP / Inkscape palette (.gpl)
+//  - Photoshop swatches (.aco)      version 1 + version 2 (named) sections
+//  - CSS custom properties (.css)
+//  - Design tokens (.json)          W3C DTCG style: { $type, $value, $description }
+//
+// A swatch is { hex:'#RRGGBB', name?:string }. Names (e.g. PMS labels) are
+// written wherever the format has room for them and read back on import.
+
+import { hexToRgb, rgbToHex, hslToRgb, labToRgb } from '../color/space.js';
+
+export const PALETTE_FORMATS = [
+  { id: 'ase',  label: 'Adobe Swatch Exchange (.ase)', ext: 'ase',  mime: 'application/octet-stream' },
+  { id: 'gpl',  label: 'GIMP / Inkscape (.gpl)',       ext: 'gpl',  mime: 'text/plain' },
+  { id: 'aco',  label: 'Photoshop (.aco)',             ext: 'aco',  mime: 'application/octet-stream' },
+  { id: 'css',  label: 'CSS custom properties (.css)', ext: 'css',  mime: 'text/css' },
+  { id: 'json', label: 'Design tokens (.json)',        ext: 'json', mime: 'application/json' },
+];
+
+const upper = (hex) => String(hex).toUpperCase();
+const clamp255 = (v) => Math.max(0, Math.min(255, Math.round(v)));
+const fromRgb = (r, g, b, name) => {
+  const hex = upper(rgbToHex(clamp255(r), clamp255(g), clamp255(b)));
+  // An exported unnamed swatch is labelled with its hex; don't keep that as a name
+  const n = String(name || '').trim();
+  return n && upper(n) !== hex ? { hex, name: n } : { hex };
+};
+const labelOf = (s) => s.name || upper(s.hex);
+
+// "PMS 185 C" -> "pms-185-c"
+function slug(s) {
+  return String(s).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'ink';
+}
+// Key -> name on import; our own `ink-N` placeholders carry no name
+const keyName = (k) => (/^ink-\d+$/.test(k) ? '' : k);
+// Unique token / property keys, in order
+function keysFor(swatches) {
+  const used = new Map();
+  return swatches.map((s, i) => {
+    const base = s.name ? slug(s.name) : `ink-${i + 1}`;
+    const n = used.get(base) || 0;
+    used.set(base, n + 1);
+    return n ? `${base}-${n + 1}` : base;
+  });
+}
+
+// ---------- Binary helpers (all big-endian) ----------
+class Writer {
+  constructor() { this.bytes = []; }
+  u16(v) { this.bytes.push((v >> 8) & 255, v & 255); }
+  u32(v) { this.u16((v >>> 16) & 0xFFFF); this.u16(v & 0xFFFF); }
+  f32(v) { const b = new DataView(new ArrayBuffer(4)); b.setFloat32(0, v); for (let i = 0; i < 4; i++) this.bytes.push(b.getUint8(i)); }
+  ascii(s) { for (const ch of s) this.bytes.push(ch.charCodeAt(0) & 255); }
+  utf16z(s) { for (let i = 0; i < s.length; i++) this.u16(s.charCodeAt(i)); this.u16(0); }
+  toUint8() { return new Uint8Array(this.bytes); }
+}
+
+function readUtf16(view, off, units) {
+  let s = '';
+  for (let i = 0; i < units; i++) {
+    const c = view.getUint16(off + i * 2);
+    if (c === 0) break;
+    s += String.fromCharCode(c);
+  }
+  return s;
+}
+
+// ---------- ASE ----------
+function writeAse(swatches) {
+  const w = new Writer();
+  w.ascii('ASEF'); w.u16(1); w.u16(0);
+  w.u32(swatches.length);
+  for (const s of swatches) {
+    const { r, g, b } = hexToRgb(s.hex);
+    const name = labelOf(s);
+    w.u16(0x0001);                            // color entry
+    w.u32(2 + (name.length + 1) * 2 + 4 + 12 + 2);
+    w.u16(name.length + 1); w.utf16z(name);
+    w.ascii('RGB ');
+    w.f32(r / 255); w.f32(g / 255); w.f32(b / 255);
+    w.u16(1);                                 // spot: these are inks
+  }
+  return w.toUint8();
+}
+
+function readAse(buf) {
+  const v = new DataView(buf);
+  if (v.getUint32(0) !== 0x41534546) throw new Error('Not an ASE file');
+  const count = v.getUint32(8);
+  const out = [];
+  let off = 12;
+  for (let i = 0; i < count && off + 6 <= buf.byteLength; i++) {
+    const type = v.getUint16(off), len = v.getUint32(off + 2);
+    const body = off + 6;
+    off = body + len;
+    if (type !== 0x0001) continue;            // group start / end
+    const nameLen = v.getUint16(body);
+    const name = readUtf16(v, body + 2, nameLen);
+    let p = body + 2 + nameLen * 2;
+    const model = String.fromCharCode(v.getUint8(p), v.getUint8(p + 1), v.getUint8(p + 2), v.getUint8(p + 3)).trim();
+    p += 4;
+    const f = (k) => v.getFloat32(p + k * 4);
+    if (model === 'RGB') out.push(fromRgb(f(0) * 255, f(1) * 255, f(2) * 255, name));
+    else if (model === 'CMYK') out.push(fromRgb(...cmykToRgb(f(0), f(1), f(2), f(3)), name));
+    else if (model === 'LAB') { const c = labToRgb(f(0) * 100, f(1), f(2)); out.push(fromRgb(c.r, c.g, c.b, name)); }
+    else if (model === 'Gray') out.push(fromRgb(f(0) * 255, f(0) * 255, f(0) * 255, name));
+  }
+  return out;
+}
+
+// Naive (unmanaged) CMYK; good enough to bring a swatch in for editing
+function cmykToRgb(c, m, y, k) {
+  return [255 * (1 - c) * (1 - k), 255 * (1 - m) * (1 - k), 255 * (1 - y) * (1 - k)];
+}
+
+// ---------- ACO ----------
+function writeAco(swatches) {
+  const w = new Writer();
+  const color = (s) => {
+    const { r, g, b } = hexToRgb(s.hex);
+    w.u16(0); w.u16(r * 257); w.u16(g * 257); w.u16(b * 257); w.u16(0);
+  };
+  w.u16(1); w.u16(swatches.length);
+  swatches.forEach(color);
+  w.u16(2); w.u16(swatches.length);
+  for (const s of swatches) {
+    const name = labelOf(s);
+    color(s);
+    w.u32(name.length + 1); w.utf16z(name);
+  }
+  return w.toUint8();
+}
+
+function readAco(buf) {
+  const v = new DataView(buf);
+  const section = (off) => {
+    const version = v.getUint16(off), count = v.getUint16(off + 2);
+    const out = [];
+    let p = off + 4;
+    for (let i = 0; i < count; i++) {
+      const space = v.getUint16(p);
+      const w = [v.getUint16(p + 2), v.getUint16(p + 4), v.getUint16(p + 6), v.getUint16(p + 8)];
+      p += 10;
+      let name = '';
+      if (version === 2) {
+        const len = v.getUint32(p);
+        name = readUtf16(v, p + 4, len);
+        p += 4 + len * 2;
+      }
+      const rgb = acoToRgb(space, w);
+      if (rgb) out.push(fromRgb(...rgb, name));
+    }
+    return { version, out, end: p };
+  };
+  const first = section(0);
+  if (first.version === 1 && first.end + 4 <= buf.byteLength && v.getUint16(first.end) === 2) {
+    return section(first.end).out;            // the v2 section carries names
+  }
+  return first.out;
+}
+
+function acoToRgb(space, w) {
+  switch (space) {
+    case 0: return [w[0] / 257, w[1] / 257, w[2] / 257];
+    case 1: { const c = hslFromHsb(w[0] / 182.04, w[1] / 655.35, w[2] / 655.35); return [c.r, c.g, c.b]; }
+    case 2: return cmykToRgb(1 - w[0] / 65535, 1 - w[1] / 65535, 1 - w[2] / 65535, 1 - w[3] / 65535);
+    case 7: {
+      const sgn = (x) => (x > 32767 ? x - 65536 : x);
+      const c = labToRgb(w[0] / 100, sgn(w[1]) / 100, sgn(w[2]) / 100);
+      return [c.r, c.g, c.b];
+    }
+    case 8: { const g = 255 * (1 - w[0] / 10000); return [g, g, g]; }
+    default: return null;
+  }
+}
+
+// HSB (h 0..360, s/b 0..100) via HSL
+function hslFromHsb(h, s, b) {
+  s /= 100; b /= 100;
+  const l = b * (1 - s / 2);
+  const sl = (l === 0 || l === 1) ? 0 : (b - l) / Math.min(l, 1 - l);
+  return hslToRgb(h, sl, l);
+}
+
+// ---------- GPL ----------
+function writeGpl(swatches, title) {
+  const lines = ['GIMP Palette', `Name: ${title}`, 'Columns: 0', '#'];
+  for (const s of swatches) {
+    const { r, g, b } = hexToRgb(s.hex);
+    lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${labelOf(s)}`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+function readGpl(text) {
+  if (!/^GIMP Palette/.test(text.trimStart())) throw new Error('Not a GIMP palette');
+  const out = [];
+  for (const line of text.split(/\r?\n/)) {
+    const m = /^\s*(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/.exec(line);
+    if (m) out.push(fromRgb(+m[1], +m[2], +m[3], m[4]));
+  }
+  return out;
+}
+
+// ---------- CSS ----------
+function writeCss(swatches, title) {
+  const keys = keysFor(swatches);
+  const lines = [`/* ${title} */`, ':root {'];
+  swatches.forEach((s, i) => {
+    lines.push(`  --${keys[i]}: ${upper(s.hex)};` + (s.name ? ` /* ${s.name.replace(/\*\//g, '')} */` : ''));
+  });
+  lines.push('}');
+  return lines.join('\n') + '\n';
+}
+
+function readCss(text) {
+  const out = [];
+  const re = /--([\w-]+)\s*:\s*([^;]+);[ \t]*(?:\/\*\s*(.*?)\s*\*\/)?/g;
+  let m;
+  while ((m = re.exec(text))) {
+    const rgb = parseCssColor(m[2]);
+    if (rgb) out.push(fromRgb(rgb.r, rgb.g, rgb.b, m[3] || keyName(m[1])));
+  }
+  return out;
+}
+
+function parseCssColor(v) {
+  v = v.trim();
+  const hex = /^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.exec(v); // alpha is dropped
+  if (hex) {
+    let h = hex[1];
+    if (h.length <= 4) h = h.slice(0, 3).replace(/./g, c => c + c);
+    return hexToRgb('#' + h.slice(0, 6));
+  }
+  const rgb = /^rgba?\(\s*([\d.]+)[\s,]+([\d.]+)[\s,]+([\d.]+)/i.exec(v);
+  if (rgb) return { r: +rgb[1], g: +rgb[2], b: +rgb[3] };
+  return null;
+}
+
+// ---------- Design tokens ----------
+function writeJson(swatches, title) {
+  const keys = keysFor(swatches);
+  const group = { $type: 'color', $description: title };
+  swatches.forEach((s, i) => {
+    group[keys[i]] = { $value: upper(s.hex), ...(s.name ? { $description: s.name } : {}) };
+  });
+  return JSON.stringify({ palette: group }, null, 2) + '\n';
+}
+
+function readJson(text) {
+  const data = JSON.parse(text);
+  const out = [];
+  // Plain lists: [{hex,name}] or a project's [{r,g,b,name}]
+  const list = Array.isArray(data) ? data : Array.isArray(data?.palette) ? data.palette : null;
+  if (list) {
+    for (const x of list) {
+      if (typeof x === 'string') { const c = parseCssColor(x); if (c) out.push(fromRgb(c.r, c.g, c.b)); }
+      else if (x && 'r' in x) out.push(fromRgb(+x.r, +x.g, +x.b, x.name));
+      else if (x?.hex) { const c = parseCssColor(x.hex); if (c) out.push(fromRgb(c.r, c.g, c.b, x.name)); }
+    }
+    return out;
+  }
+  // Token tree: any node with a string $value (or legacy `value`) that parses as a color
+  const walk = (node, key) => {
+    if (!node || typeof node !== 'object') return;
+    const val = node.$value ?? node.value;
+    if (typeof val === 'string') {
+      const c = parseCssColor(val);
+      if (c) out.push(fromRgb(c.r, c.g, c.b, node.$description || node.description || keyName(key)));
+      return;
+    }
+    for (const [k, child] of Object.entries(node)) if (!k.startsWith('$')) walk(child, k);
+  };
+  walk(data, '');
+  return out;
+}
+
+// ---------- Public ----------
+/**
+ * Encode swatches in one of PALETTE_FORMATS.
+ * @param {{hex:string, name?:string}[]} swatches
+ * @param {string} format - PALETTE_FORMATS[].id
+ * @param {{title?:string}} [opts]
+ * @returns {Blob}
+ */
+export function exportPalette(swatches, format, { title = 'Palette Mapper' } = {}) {
+  const fmt = PALETTE_FORMATS.find(f => f.id === format);
+  if (!fmt) throw new Error(`Unknown palette format: ${format}`);
+  const list = swatches.filter(s => hexToRgb(s.hex));
+  const body = {
+    ase:  () => writeAse(list),
+    aco:  () => writeAco(list),
+    gpl:  () => writeGpl(list, title),
+    css:  () => writeCss(list, title),
+    json: () => writeJson(list, title),
+  }[fmt.id]();
+  return new Blob([body], { type: fmt.mime });
+}
+
+/**
+ * Decode a palette file. The format comes from the extension, falling back
+ * to sniffing the content.
+ * @param {File|Blob} file
+ * @returns {Promise<{hex:string, name?:string}[]>}
+ */
+export async function importPalette(file) {
+  const ext = String(file.name || '').split('.').pop().toLowerCase();
+  const buf = await file.arrayBuffer();
+  const head = new Uint8Array(buf.slice(0, 4));
+  const text = () => new TextDecoder().decode(buf);
+
+  if (ext === 'ase' || String.fromCharCode(...head) === 'ASEF') return readAse(buf);
+  if (ext === 'aco') return readAco(buf);
+  if (ext === 'gpl') return readGpl(text());
+  if (ext === 'css') return readCss(text());
+  if (ext === 'json') return readJson(text());
+
+  const t = text();
+  if (/^\s*GIMP Palette/.test(t)) return readGpl(t);
+  if (/^\s*[[{]/.test(t)) return readJson(t);
+  if (/--[\w-]+\s*:/.test(t)) return readCss(t);
+  if (head[0] === 0 && (head[1] === 1 || head[1] === 2)) return readAco(buf);
+  throw new Error('Unrecognized palette file');
+}
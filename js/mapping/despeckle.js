@@ -0,0 +1,177 @@
+// mapping/despeckle.js
+// Cleanup of the mapped image for screen printing: specks of an ink a few
+// pixels across won't hold on a screen, and pinholes fill in.
+//
+// Every distinct color of the mapped image is one class (unprinted pixels,
+// alpha 0, are a class of their own). Islands are 8-connected components of
+// one class; islands under `minArea` pixels take the class most of their
+// outside neighbours have. An optional 3×3 majority filter runs first and
+// smooths ragged edges. Pixels in `protect` (dithered / patterned areas,
+// grown by a pixel so the texture's edge stays intact) are never changed
+// and don't form islands, though they still vote as neighbours.
+
+/**
+ * @param {ImageData} imgData - mapped output
+ * @param {{minArea?:number, majority?:boolean, protect?:Uint8Array|null, stats?:object|null}} [opts]
+ *   minArea: islands smaller than this many pixels are merged (0: off)
+ *   protect: w×h mask, 1 = leave alone
+ *   stats: receives stats.islands (merged) and stats.changed (pixels)
+ * @returns {ImageData} a new ImageData; the input is left untouched
+ */
+export function despeckle(imgData, { minArea = 0, majority = false, protect = null, stats = null } = {}) {
+  const w = imgData.width, h = imgData.height, n = w * h;
+  const src = imgData.data;
+
+  // class per pixel + a representative RGBA per class
+  const cls = new Int32Array(n);
+  const colors = [];
+  const ids = new Map();
+  for (let i = 0; i < n; i++) {
+    const a = src[i*4+3];
+    const key = a === 0 ? -1 : (src[i*4] << 16) | (src[i*4+1] << 8) | src[i*4+2];
+    let c = ids.get(key);
+    if (c === undefined) {
+      c = colors.length;
+      ids.set(key, c);
+      colors.push([src[i*4], src[i*4+1], src[i*4+2], a]);
+    }
+    cls[i] = c;
+  }
+
+  const before = cls.slice();
+  const locked = protect ? grow(protect, w, h) : null;
+  let islands = 0;
+
+  if (majority) {
+    const votes = new Int32Array(colors.length);
+    const next = cls.slice();
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = y * w + x;
+        if (locked && locked[i]) continue;
+        let top = cls[i], topN = 0, cast = 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          const yy = y + dy;
+          if (yy < 0 || yy >= h) continue;
+          for (let dx = -1; dx <= 1; dx++) {
+            const xx = x + dx;
+            if (xx < 0 || xx >= w) continue;
+            const c = cls[yy * w + xx];
+            cast++;
+            if (++votes[c] > topN) { topN = votes[c]; top = c; }
+          }
+        }
+        // reset only what was counted
+        for (let dy = -1; dy <= 1; dy++) {
+          const yy = y + dy;
+          if (yy < 0 || yy >= h) continue;
+          for (let dx = -1; dx <= 1; dx++) {
+            const xx = x + dx;
+            if (xx >= 0 && xx < w) votes[cls[yy * w + xx]] = 0;
+          }
+        }
+        if (top !== cls[i] && topN * 2 > cast) next[i] = top;
+      }
+    }
+    cls.set(next);
+  }
+
+  if (minArea > 1) {
+    const label = new Int32Array(n).fill(-1);
+    const pixels = new Int32Array(n); // the current island's pixels (flood-fill queue)
+    const around = new Map();
+    let comp = 0;
+    for (let start = 0; start < n; start++) {
+      if (label[start] >= 0 || (locked && locked[start])) continue;
+      const c = cls[start];
+      let len = 0;
+      label[start] = comp;
+      pixels[len++] = start;
+      for (let k = 0; k < len; k++) {
+        const i = pixels[k], x = i % w, y = (i / w) | 0;
+        for (let dy = -1; dy <= 1; dy++) {
+          const yy = y + dy;
+          if (yy < 0 || yy >= h) continue;
+          for (let dx = -1; dx <= 1; dx++) {
+            const xx = x + dx, j = yy * w + xx;
+            if (xx < 0 || xx >= w || label[j] >= 0 || cls[j] !== c || (locked && locked[j])) continue;
+            label[j] = comp;
+            pixels[len++] = j;
+          }
+        }
+      }
+
+      if (len < minArea) {
+        // the class most outside neighbours have (each neighbour pixel counted once)
+        around.clear();
+        const seen = new Set();
+        for (let k = 0; k < len; k++) {
+          const i = pixels[k], x = i % w, y = (i / w) | 0;
+          for (let dy = -1; dy <= 1; dy++) {
+            const yy = y + dy;
+            if (yy < 0 || yy >= h) continue;
+            for (let dx = -1; dx <= 1; dx++) {
+              const xx = x + dx, j = yy * w + xx;
+              if (xx < 0 || xx >= w || label[j] === comp || seen.has(j)) continue;
+              seen.add(j);
+              around.set(cls[j], (around.get(cls[j]) || 0) + 1);
+            }
+          }
+        }
+        let fill = c, fillN = 0;
+        around.forEach((count, k) => { if (count > fillN) { fillN = count; fill = k; } });
+        if (fill !== c) {
+          for (let k = 0; k < len; k++) cls[pixels[k]] = fill;
+          islands++;
+        }
+      }
+      comp++;
+    }
+  }
+
+  // changed pixels take the new ink's color; alpha only changes to / from unprinted
+  const out = new ImageData(w, h);
+  const d = out.data;
+  d.set(src);
+  let changed = 0;
+  for (let i = 0; i < n; i++) {
+    if (cls[i] === before[i]) continue;
+    changed++;
+    const col = colors[cls[i]];
+    d[i*4] = col[0]; d[i*4+1] = col[1]; d[i*4+2] = col[2];
+    if (!col[3] || !src[i*4+3]) d[i*4+3] = col[3];
+  }
+  if (stats) { stats.islands = islands; stats.changed = changed; }
+  return out;
+}
+
+/**
+ * Islands smaller than `mm` × `mm` at the print size, in pixels.
+ * @param {number} mm - minimum feature size
+ * @param {number} widthPx - image width in pixels
+ * @param {number} widthMm - printed width
+ */
+export function minAreaForMm(mm, widthPx, widthMm) {
+  if (!(mm > 0) || !(widthPx > 0) || !(widthMm > 0)) return 0;
+  const side = mm * widthPx / widthMm;
+  return Math.ceil(side * side);
+}
+
+// mask grown by one pixel (8-neighbourhood)
+function grow(mask, w, h) {
+  const out = new Uint8Array(w * h);
+  for (let y = 0; y < h; y++) {
+    for (let x = 0; x < w; x++) {
+      if (!mask[y * w + x]) continue;
+      for (let dy = -1; dy <= 1; dy++) {
+        const yy = y + dy;
+        if (yy < 0 || yy >= h) continue;
+        for (let dx = -1; dx <= 1; dx++) {
+          const xx = x + dx;
+          if (xx >= 0 && xx < w) out[yy * w + xx] = 1;
+        }
+      }
+    }
+  }
+  return out;
+}
@@ -0,0 +1,67 @@
+// mapping/diffusion.js
+// Error-diffusion kernels and the color spaces error is diffused in.
+//
+// A kernel is a list of taps [dx, dy, weight] (dx relative to the scan
+// direction, so serpentine rows just mirror it) and a divisor. Atkinson
+// spreads only 6/8 of the error on purpose: it trades shadow/highlight
+// detail for cleaner, less wormy flats.
+
+import { srgbToLinear, linearToSrgb, rgbToLab, labToRgb } from '../color/space.js';
+
+export const DIFFUSION_KERNELS = [
+  { id: 'floyd-steinberg', label: 'Floyd–Steinberg', div: 16,
+    taps: [[1,0,7], [-1,1,3], [0,1,5], [1,1,1]] },
+  { id: 'atkinson', label: 'Atkinson', div: 8,
+    taps: [[1,0,1], [2,0,1], [-1,1,1], [0,1,1], [1,1,1], [0,2,1]] },
+  { id: 'jjn', label: 'Jarvis–Judice–Ninke', div: 48,
+    taps: [[1,0,7], [2,0,5],
+           [-2,1,3], [-1,1,5], [0,1,7], [1,1,5], [2,1,3],
+           [-2,2,1], [-1,2,3], [0,2,5], [1,2,3], [2,2,1]] },
+  { id: 'stucki', label: 'Stucki', div: 42,
+    taps: [[1,0,8], [2,0,4],
+           [-2,1,2], [-1,1,4], [0,1,8], [1,1,4], [2,1,2],
+           [-2,2,1], [-1,2,2], [0,2,4], [1,2,2], [2,2,1]] },
+  { id: 'burkes', label: 'Burkes', div: 32,
+    taps: [[1,0,8], [2,0,4],
+           [-2,1,2], [-1,1,4], [0,1,8], [1,1,4], [2,1,2]] },
+  { id: 'sierra', label: 'Sierra', div: 32,
+    taps: [[1,0,5], [2,0,3],
+           [-2,1,2], [-1,1,4], [0,1,5], [1,1,4], [2,1,2],
+           [-1,2,2], [0,2,3], [1,2,2]] },
+  { id: 'sierra-2', label: 'Two-row Sierra', div: 16,
+    taps: [[1,0,4], [2,0,3],
+           [-2,1,1], [-1,1,2], [0,1,3], [1,1,2], [2,1,1]] },
+  { id: 'sierra-lite', label: 'Sierra Lite', div: 4,
+    taps: [[1,0,2], [-1,1,1], [0,1,1]] },
+];
+export const DEFAULT_KERNEL = 'floyd-steinberg';
+
+export function getKernel(id) {
+  return DIFFUSION_KERNELS.find(k => k.id === id)
+      || DIFFUSION_KERNELS.find(k => k.id === DEFAULT_KERNEL);
+}
+
+/**
+ * Spaces to diffuse error in. `to` maps sRGB 0..255 to working values, `from`
+ * maps working values (already clamped to lo..hi) back to sRGB {r,g,b}.
+ *  - srgb:   gamma-encoded, as before (fast; over-darkens midtones)
+ *  - linear: linear light, so the printed average matches the original
+ *  - lab:    CIE Lab, error measured the way the ΔE metrics see it
+ */
+export const DIFFUSION_SPACES = {
+  srgb: {
+    label: 'sRGB (gamma)', lo: [0, 0, 0], hi: [255, 255, 255],
+    to: (r, g, b) => [r, g, b],
+    from: (v) => ({ r: Math.round(v[0]), g: Math.round(v[1]), b: Math.round(v[2]) }),
+  },
+  linear: {
+    label: 'Linear light', lo: [0, 0, 0], hi: [1, 1, 1],
+    to: (r, g, b) => [srgbToLinear(r), srgbToLinear(g), srgbToLinear(b)],
+    from: (v) => ({ r: Math.round(linearToSrgb(v[0])), g: Math.round(linearToSrgb(v[1])), b: Math.round(linearToSrgb(v[2])) }),
+  },
+  lab: {
+    label: 'CIE Lab', lo: [0, -128, -128], hi: [100, 128, 128],
+    to: rgbToLab,
+    from: (v) => labToRgb(v[0], v[1], v[2]),
+  },
+};
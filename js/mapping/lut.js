@@ -0,0 +1,164 @@
+// mapping/lut.js
+// RGB -> ink lookup table, so mapping doesn't convert and compare every pixel.
+//
+// The RGB cube is cut into size³ cells (32³ or 64³). Distances to every ink
+// are measured at the cell corners and centre; over the cell each distance is
+// taken to stay within the centre value ± SLACK × its largest change to a
+// corner (the change is first order at this cell size, largest at a corner).
+// A cell is "solid" and answers from the table only when those ranges settle
+// every pick: the winner always closer than each rival, and each ink that
+// could win always inside, or always outside, its tolerance. Other cells
+// (boundaries, tolerance edges, cells next to an ink) get the exact search,
+// remembered per table up to MAX_EXACT colors, so results match mapping
+// without the table.
+//
+// Tables are keyed by metric, weights, inks (color + tolerance) and the set of
+// inks allowed, and kept for reuse across re-maps (the last few only).
+
+const MAX_TABLES = 6;
+const MAX_EXACT = 1 << 17; // refined colors remembered per table
+const SLACK = 1.25; // headroom over the corner change for curvature inside a cell
+const tables = new Map(); // key -> table, oldest first
+
+/**
+ * Exact search: nearest ink within its tolerance, the runner-up, and the
+ * nearest ink regardless of tolerance.
+ * @param {{pt:number[], tol:number}[]} pal - palette points in the metric's space
+ * @param {{distance:Function}} metric
+ * @param {number[]} pt - the color in the metric's space
+ * @param {Uint8Array|null} allow - inks to consider (null: all)
+ * @param {Int32Array} res - receives [best (-1: none), second (-1: none), any]
+ */
+export function searchInks(pal, metric, pt, allow, res) {
+  let best = -1, bestD = Infinity, second = -1, secondD = Infinity, any = 0, anyD = Infinity;
+  for (let p = 0; p < pal.length; p++) {
+    if (allow && !allow[p]) continue;
+    const d = metric.distance(pt, pal[p].pt);
+    if (d < anyD) { anyD = d; any = p; }
+    if (d > pal[p].tol) continue;
+    if (d < bestD) { second = best; secondD = bestD; bestD = d; best = p; }
+    else if (d < secondD) { secondD = d; second = p; }
+  }
+  res[0] = best; res[1] = second; res[2] = any;
+}
+
+/**
+ * Table for `pal` under `metric`, built on first use.
+ * @param {string} key - identifies metric + weights (the palette and `allow` are added here)
+ * @param {{rgb:number[], pt:number[], tol:number}[]} pal
+ * @param {{convert:Function, distance:Function}} metric
+ * @param {{size?:32|64, allow?:Uint8Array|null}} [opts]
+ * @returns {object} table for lookupInks()
+ */
+export function inkLut(key, pal, metric, { size = 32, allow = null } = {}) {
+  const full = `${key}|${size}|${pal.map(p => `${p.rgb.join(',')}/${p.tol}`).join(';')}|${allow ? allow.join('') : '*'}`;
+  let t = tables.get(full);
+  if (t) {
+    tables.delete(full);
+  } else {
+    t = buildLut(pal, metric, size, allow);
+    if (tables.size >= MAX_TABLES) tables.delete(tables.keys().next().value);
+  }
+  tables.set(full, t); // most recently used last
+  return t;
+}
+
+/**
+ * searchInks() for an sRGB color (integers 0..255) through table `t`.
+ * @param {boolean} needSecond - the runner-up is used (ordered dithering)
+ */
+export function lookupInks(t, pal, metric, r, g, b, needSecond, res) {
+  const cell = (t.cellOf[r] * t.size + t.cellOf[g]) * t.size + t.cellOf[b];
+  const need = needSecond ? 3 : 1;
+  if ((t.solid[cell] & need) === need) {
+    res[0] = t.best[cell]; res[1] = t.second[cell]; res[2] = t.any[cell];
+    return;
+  }
+  const key = (r << 16) | (g << 8) | b;
+  const hit = t.exact.get(key);
+  if (hit !== undefined) {
+    res[0] = (hit & 0xff) - 1; res[1] = ((hit >> 8) & 0xff) - 1; res[2] = hit >> 16;
+    return;
+  }
+  searchInks(pal, metric, metric.convert(r, g, b), t.allow, res);
+  if (t.exact.size < MAX_EXACT) t.exact.set(key, (res[0] + 1) | ((res[1] + 1) << 8) | (res[2] << 16));
+}
+
+function buildLut(pal, metric, size, allow) {
+  const n = size + 1, step = 255 / size, P = pal.length;
+  const on = (p) => !allow || allow[p];
+
+  // distance from every cell corner (the (size+1)³ lattice) to every ink
+  const nodeD = new Float32Array(n * n * n * P);
+  for (let ri = 0, i = 0; ri < n; ri++) {
+    for (let gi = 0; gi < n; gi++) {
+      for (let bi = 0; bi < n; bi++, i++) {
+        const pt = metric.convert(ri * step, gi * step, bi * step);
+        for (let p = 0; p < P; p++) if (on(p)) nodeD[i * P + p] = metric.distance(pt, pal[p].pt);
+      }
+    }
+  }
+
+  const cells = size * size * size;
+  const best = new Int16Array(cells), second = new Int16Array(cells), any = new Int16Array(cells);
+  const solid = new Uint8Array(cells);
+  const lo = new Float64Array(P), hi = new Float64Array(P);
+  const corner = new Int32Array(8);
+  for (let ri = 0, c = 0; ri < size; ri++) {
+    for (let gi = 0; gi < size; gi++) {
+      for (let bi = 0; bi < size; bi++, c++) {
+        for (let k = 0; k < 8; k++) corner[k] = ((ri + (k >> 2)) * n + gi + ((k >> 1) & 1)) * n + bi + (k & 1);
+        const pt = metric.convert((ri + 0.5) * step, (gi + 0.5) * step, (bi + 0.5) * step);
+        // each distance's range over the cell: centre ± SLACK × its largest change to a corner
+        let b1 = -1, b1D = Infinity, b2 = -1, b2D = Infinity, a = 0, aD = Infinity;
+        for (let p = 0; p < P; p++) {
+          if (!on(p)) continue;
+          const d = metric.distance(pt, pal[p].pt);
+          let dev = 0;
+          for (let k = 0; k < 8; k++) dev = Math.max(dev, Math.abs(nodeD[corner[k] * P + p] - d));
+          lo[p] = d - SLACK * dev; hi[p] = d + SLACK * dev;
+          // same order as searchInks()
+          if (d < aD) { aD = d; a = p; }
+          if (d > pal[p].tol) continue;
+          if (d < b1D) { b2 = b1; b2D = b1D; b1D = d; b1 = p; }
+          else if (d < b2D) { b2D = d; b2 = p; }
+        }
+        best[c] = b1; second[c] = b2; any[c] = a;
+        // Pick `w` holds over the cell when it stays within tolerance and every
+        // other ink (but `skip`) is either always farther or always outside its
+        // own tolerance; w = -1 (none) holds when all of them stay outside
+        const holds = (w, skip) => {
+          if (w >= 0 && hi[w] > pal[w].tol) return false;
+          for (let q = 0; q < P; q++) {
+            if (q === w || q === skip || !on(q)) continue;
+            if (lo[q] <= pal[q].tol && (w < 0 || lo[q] <= hi[w])) return false;
+          }
+          return true;
+        };
+        let ok1 = holds(b1, -1);
+        for (let q = 0; ok1 && q < P; q++) if (q !== a && on(q) && hi[a] >= lo[q]) ok1 = false;
+        const ok2 = ok1 && (b1 < 0 || holds(b2, b1));
+        solid[c] = ok1 ? (ok2 ? 3 : 1) : 0;
+      }
+    }
+  }
+
+  const cellOf = new Uint8Array(256);
+  for (let v = 0; v < 256; v++) cellOf[v] = Math.min(size - 1, Math.floor(v / step));
+
+  // cells around each ink are always refined
+  for (const p of pal) {
+    const [cr, cg, cb] = p.rgb.map(v => cellOf[Math.max(0, Math.min(255, Math.round(v)))]);
+    for (let dr = -1; dr <= 1; dr++) {
+      for (let dg = -1; dg <= 1; dg++) {
+        for (let db = -1; db <= 1; db++) {
+          const r = cr + dr, g = cg + dg, b = cb + db;
+          if (r < 0 || g < 0 || b < 0 || r >= size || g >= size || b >= size) continue;
+          solid[(r * size + g) * size + b] = 0;
+        }
+      }
+    }
+  }
+  // solid bit 1: best/any hold for the whole cell, bit 2: second does too
+  return { size, allow, cellOf, best, second, any, solid, exact: new Map() };
+}
@@ -1,15 +1,93 @@
 // mapping/mapper.js
-import { rgbToLab, deltaE2Weighted } from '../color/space.js';
+import { createMetric } from '../color/distance.js';
+import { getKernel, DIFFUSION_SPACES } from './diffusion.js';
+import { isOrderedMap, thresholdMap } from './ordered.js';
+import { makePattern } from '../color/patterns.js';
+import { buildRegionMap } from './regions.js';
+import { inkLut, lookupInks, searchInks } from './lut.js';
 
-function buildPaletteLab(palette) {
-  // palette is [{r,g,b,tol}] from app state
-  return palette.map(p => ({ rgb:[p.r,p.g,p.b], lab: rgbToLab(p.r,p.g,p.b) }));
+function buildPalettePoints(palette, metric) {
+  // palette is [{r,g,b,tol}] from app state; `pt` is the color in the metric's space.
+  // tol is in ΔE of the active metric; a missing tol matches at any distance.
+  return palette.map(p => ({
+    rgb:[p.r,p.g,p.b], pt: metric.convert(p.r,p.g,p.b),
+    tol: Number.isFinite(p.tol) ? p.tol : Infinity,
+  }));
 }
 
+export const UNMATCHED_MODES = ['nearest', 'substrate', 'highlight'];
+export const DEFAULT_RULE_RADIUS = 10; // ΔE
+
+// Replacement rules, highest priority first; inks index the (restricted) palette
+function buildRules(rules, metric, inkCount) {
+  return (rules || [])
+    .map(r => ({
+      pt: metric.convert(r.target.r, r.target.g, r.target.b),
+      radius: Number.isFinite(r.radius) ? r.radius : DEFAULT_RULE_RADIUS,
+      priority: r.priority || 0,
+      density: Math.max(0, Math.min(1, r.density ?? 1)),
+      fn: makePattern(r.pattern, r.params || {}),
+      inks: (r.inks || []).filter(i => i >= 0 && i < inkCount),
+    }))
+    .filter(r => r.inks.length)
+    .sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Map every pixel to the nearest ink that is within that ink's tolerance.
+ * Pixels outside every ink's tolerance go to `unmatched`:
+ *   'nearest'   – nearest ink anyway (tolerance ignored)
+ *   'substrate' – left unprinted (alpha 0), like knockout
+ *   'highlight' – painted `highlight` {r,g,b} to show poorly served areas
+ * Unmatched pixels don't diffuse error when dithering.
+ * Pass `stats` ({}) to receive stats.unmatched (pixel count); with
+ * `maskDither` also stats.dithered, a w×h Uint8Array that is 1 where
+ * dithering or a rule pattern (rather than the plain nearest ink) decided
+ * the pixel, so later cleanup can leave those areas alone.
+ *
+ * Dithering: `dither` is false, true (Floyd–Steinberg), a DIFFUSION_KERNELS
+ * id or an ORDERED_MAPS id. `ditherSpace` ('srgb'|'linear'|'lab') is where
+ * error is carried / mixes are measured.
+ *  - error diffusion: `serpentine` alternates the scan direction per row,
+ *    `ditherStrength` (0..1) scales the diffused error. For a band of a
+ *    larger image, `errorIn` (from the band above) seeds the error of the
+ *    first rows and stats.errorOut returns the error that spills past the
+ *    last row: [Float32Array ×3] in the working space, w × (kernel depth)
+ *  - ordered: each pixel picks between its two nearest inks by comparing its
+ *    position along the ink-to-ink segment with the threshold map at
+ *    (x + origin.x, y + origin.y), so tiles of one image line up
+ *
+ * Rules: `rules` [{ target:{r,g,b}, pattern, params?, inks:[i...], density:0..1,
+ * radius?:ΔE, priority? }] override matching for pixels within `radius` of
+ * the target (source color, before dithering). The highest priority wins,
+ * then the closest target. The pattern picks inks[0] where it is on; other
+ * pixels cycle through the remaining inks, or stay unprinted for a one-ink
+ * rule (a tint over the substrate). Rule pixels don't diffuse error.
+ *
+ * Regions: `regions` [{ mask, w, h, allowed:[i...] }] (bottom to top, masks
+ * at any size) limit the inks a pixel may use to the topmost region's
+ * `allowed`; `feather` softens region edges (mask pixels). Rules whose inks
+ * a region forbids don't apply there. `fullSize` {w,h} is the whole image
+ * when `imgData` is a tile at `origin`.
+ *
+ * Ink search goes through a cached RGB lookup table (lut.js) keyed by inks,
+ * metric and weights; `lut` is true (32³, 64³ from 4 MP up), 32, 64 or false
+ * for the exact search on every pixel.
+ */
 export function mapToPalette(imgData, palette, opts = {}) {
   const {
-    wL = 1, wC = 1, dither = false, bgMode = 'keep',
-    restricted = null
+    wL = 1, wC = 1, metric: metricId = 'ciede2000',
+    dither = false, bgMode = 'keep',
+    serpentine = false, ditherStrength = 1, ditherSpace = 'srgb',
+    restricted = null,
+    substrate = null, knockout = false, // substrate {r,g,b,tol?}: with knockout it competes as a free "ink"
+    unmatched = 'nearest', highlight = { r:255, g:0, b:255 },
+    origin = { x:0, y:0 },
+    rules = null,
+    regions = null, feather = 0, fullSize = null,
+    errorIn = null,
+    lut = true,
+    stats = null, maskDither = false,
   } = opts;
 
   const w = imgData.width, h = imgData.height;
@@ -22,48 +100,147 @@ export function mapToPalette(imgData, palette, opts = {}) {
     ? restricted.map(i => palette[i]).filter(Boolean)
     : palette;
 
-  const pal = buildPaletteLab(palSrc);
+  const metric = createMetric(metricId, { wL, wC });
+  const pal = buildPalettePoints(palSrc, metric);
 
-  // error buffers for FS dither
-  const errR = dither ? new Float32Array(w*h) : null;
-  const errG = dither ? new Float32Array(w*h) : null;
-  const errB = dither ? new Float32Array(w*h) : null;
+  // knocked-out pixels are left unprinted (alpha 0) so the substrate shows through
+  const koIdx = (knockout && substrate) ? pal.length : -1;
+  if (koIdx >= 0) pal.push(...buildPalettePoints([substrate], metric));
+  const ruleList = buildRules(rules, metric, palSrc.length);
+
+  // per-region allowed flags over `pal` (null: region allows no active ink,
+  // so it doesn't restrict); the knockout substrate is always allowed
+  const regionOf = buildRegionMap(regions, w, h, { feather, origin, fullSize });
+  const allowedBy = regionOf ? regions.map(r => {
+    const ok = new Uint8Array(pal.length);
+    let n = 0;
+    for (const i of r.allowed || []) if (i >= 0 && i < palSrc.length && !ok[i]) { ok[i] = 1; n++; }
+    if (!n) return null;
+    if (koIdx >= 0) ok[koIdx] = 1;
+    return ok;
+  }) : null;
+  // lookup tables by region (-1: all inks), built / fetched on first use
+  const pixels = fullSize ? fullSize.w * fullSize.h : w * h;
+  const lutSize = lut === 64 || (lut === true && pixels > 4e6) ? 64 : 32;
+  const luts = lut ? new Map() : null;
+  const lutFor = (k) => {
+    let t = luts.get(k);
+    if (!t) {
+      t = inkLut(`${metricId}|${wL}|${wC}`, pal, metric, { size: lutSize, allow: k < 0 ? null : allowedBy[k] });
+      luts.set(k, t);
+    }
+    return t;
+  };
+  const found = new Int32Array(3);
+  const dithered = stats && maskDither ? new Uint8Array(w*h) : null;
+  const ko = (koIdx >= 0 || unmatched === 'substrate' || ruleList.length) ? new Uint8Array(w*h) : null;
+  const strict = unmatched !== 'nearest';
+  let missed = 0;
+
+  // dithering: threshold map (ordered) or kernel + working-space error buffers
+  const ordered = isOrderedMap(dither) ? thresholdMap(dither) : null;
+  const kernel = dither && !ordered ? getKernel(dither === true ? undefined : dither) : null;
+  const space = DIFFUSION_SPACES[ditherSpace] || DIFFUSION_SPACES.srgb;
+  const strength = Math.max(0, Math.min(1, ditherStrength));
+  // error buffers run `depth` rows past the image: that spill is the next band's errorIn
+  const depth = kernel ? Math.max(...kernel.taps.map(t => t[1])) : 0;
+  const rows = h + depth;
+  const err = kernel ? [new Float32Array(w*rows), new Float32Array(w*rows), new Float32Array(w*rows)] : null;
+  if (err && errorIn) {
+    for (let c = 0; c < 3; c++) if (errorIn[c]) err[c].set(errorIn[c].subarray(0, w*depth));
+  }
+  const palWork = (kernel || ordered) ? pal.map(p => space.to(p.rgb[0], p.rgb[1], p.rgb[2])) : null;
+  const work = [0, 0, 0];
+  const ts = ordered ? ordered.size : 1;
+  const ox = ((origin.x | 0) % ts + ts) % ts, oy = ((origin.y | 0) % ts + ts) % ts;
 
   for (let y = 0; y < h; y++) {
-    for (let x = 0; x < w; x++) {
+    const flip = serpentine && ((y + (origin.y | 0)) & 1);
+    for (let xi = 0; xi < w; xi++) {
+      const x = flip ? w - 1 - xi : xi;
       const idx = y*w + x, i4 = idx*4;
       if (out.data[i4+3] === 0) continue;
 
       let r = out.data[i4], g = out.data[i4+1], b = out.data[i4+2];
-      if (dither) {
-        r = Math.max(0, Math.min(255, Math.round(r + (errR[idx]||0))));
-        g = Math.max(0, Math.min(255, Math.round(g + (errG[idx]||0))));
-        b = Math.max(0, Math.min(255, Math.round(b + (errB[idx]||0))));
+      const r0 = r, g0 = g, b0 = b;
+      const region = regionOf && regionOf[idx] >= 0 && allowedBy[regionOf[idx]] ? regionOf[idx] : -1;
+      const allow = region >= 0 ? allowedBy[region] : null;
+      if (ruleList.length) {
+        const src = metric.convert(r, g, b);
+        let rule = null, ruleD = Infinity;
+        for (const ru of ruleList) {
+          if (rule && ru.priority < rule.priority) break;
+          if (allow && !ru.inks.every(i => allow[i])) continue;
+          const d = metric.distance(src, ru.pt);
+          if (d <= ru.radius && d < ruleD) { rule = ru; ruleD = d; }
+        }
+        if (rule) {
+          const ax = x + (origin.x | 0), ay = y + (origin.y | 0);
+          const rest = rule.inks.length - 1;
+          const ink = rule.fn(ax, ay, rule.density) ? rule.inks[0]
+            : rest ? rule.inks[1 + (ax + 2 * ay) % rest] : -1;
+          if (dithered) dithered[idx] = 1;
+          if (ink < 0) ko[idx] = 1;
+          else { out.data[i4] = pal[ink].rgb[0]; out.data[i4+1] = pal[ink].rgb[1]; out.data[i4+2] = pal[ink].rgb[2]; }
+          continue;
+        }
+      }
+      if (kernel) {
+        const v = space.to(r, g, b);
+        for (let c = 0; c < 3; c++) {
+          const t = v[c] + err[c][idx];
+          work[c] = t < space.lo[c] ? space.lo[c] : t > space.hi[c] ? space.hi[c] : t;
+        }
+        ({ r, g, b } = space.from(work));
+      } else if (ordered) {
+        const v = space.to(r, g, b);
+        work[0] = v[0]; work[1] = v[1]; work[2] = v[2];
       }
 
-      const lab = rgbToLab(r,g,b);
-      let best = 0, bestD = Infinity;
-      for (let p = 0; p < pal.length; p++) {
-        const d2 = deltaE2Weighted(lab, pal[p].lab, wL, wC);
-        if (d2 < bestD) { bestD = d2; best = p; }
+      // nearest (and runner-up) within tolerance, and nearest overall for 'nearest'
+      if (luts) lookupInks(lutFor(region), pal, metric, r, g, b, !!ordered, found);
+      else searchInks(pal, metric, metric.convert(r, g, b), allow, found);
+      let best = found[0];
+      const second = found[1], any = found[2];
+      if (best < 0) {
+        missed++;
+        if (strict) {
+          if (unmatched === 'substrate') ko[idx] = 1;
+          else { out.data[i4] = highlight.r; out.data[i4+1] = highlight.g; out.data[i4+2] = highlight.b; }
+          continue;
+        }
+        best = any;
+      }
+      if (ordered && second >= 0) {
+        // how far along A -> B the pixel sits; B wins where the threshold is below that
+        const A = palWork[best], B = palWork[second];
+        let dot = 0, len2 = 0;
+        for (let c = 0; c < 3; c++) { const ab = B[c] - A[c]; dot += (work[c] - A[c]) * ab; len2 += ab * ab; }
+        const t = len2 > 0 ? dot / len2 : 0;
+        if (ordered.data[((y + oy) % ts) * ts + (x + ox) % ts] < t) best = second;
+        if (dithered && t > 0 && t < 1) dithered[idx] = 1;
+      } else if (dithered && kernel) {
+        // diffused error changed the pick: the ink the bare color would get
+        const t = luts ? lutFor(region) : null;
+        if (t) lookupInks(t, pal, metric, r0, g0, b0, false, found);
+        else searchInks(pal, metric, metric.convert(r0, g0, b0), allow, found);
+        const plain = found[0] >= 0 ? found[0] : found[2];
+        if (plain !== best) dithered[idx] = 1;
       }
+      if (best === koIdx) ko[idx] = 1;
       const nr = pal[best].rgb[0], ng = pal[best].rgb[1], nb = pal[best].rgb[2];
       out.data[i4] = nr; out.data[i4+1] = ng; out.data[i4+2] = nb;
 
-      if (dither) {
-        const er = r - nr, eg = g - ng, eb = b - nb;
-        // distribute error (Floyd–Steinberg)
-        const push = (xx, yy, fr, fg, fb) => {
-          if (xx<0 || xx>=w || yy<0 || yy>=h) return;
+      if (kernel) {
+        // distribute the (working-space) error over the kernel's taps
+        const ink = palWork[best], k = strength / kernel.div;
+        const e0 = (work[0] - ink[0]) * k, e1 = (work[1] - ink[1]) * k, e2 = (work[2] - ink[2]) * k;
+        for (const [dx, dy, wt] of kernel.taps) {
+          const xx = flip ? x - dx : x + dx, yy = y + dy;
+          if (xx<0 || xx>=w || yy>=rows) continue;
           const j = yy*w + xx;
-          errR[j] = (errR[j]||0) + fr;
-          errG[j] = (errG[j]||0) + fg;
-          errB[j] = (errB[j]||0) + fb;
-        };
-        push(x+1,y,     er*7/16, eg*7/16, eb*7/16);
-        push(x-1,y+1,   er*3/16, eg*3/16, eb*3/16);
-        push(x,  y+1,   er*5/16, eg*5/16, eb*5/16);
-        push(x+1,y+1,   er*1/16, eg*1/16, eb*1/16);
+          err[0][j] += e0*wt; err[1][j] += e1*wt; err[2][j] += e2*wt;
+        }
       }
     }
   }
@@ -71,5 +248,33 @@ export function mapToPalette(imgData, palette, opts = {}) {
   if (bgMode === 'white') {
     for (let i = 0; i < out.data.length; i+=4) out.data[i+3] = 255;
   }
+  if (ko) {
+    for (let i = 0; i < ko.length; i++) if (ko[i]) out.data[i*4+3] = 0;
+  }
+  if (stats) {
+    stats.unmatched = missed;
+    if (err) stats.errorOut = err.map(e => e.slice(w*h));
+    if (dithered) stats.dithered = dithered;
+  }
+  return out;
+}
+
+/**
+ * Preview helper: composite mapped ink coverage (alpha) over a substrate color.
+ * Returns a new, fully opaque ImageData; the input is left untouched.
+ */
+export function compositeOverSubstrate(imgData, substrate) {
+  const w = imgData.width, h = imgData.height;
+  const src = imgData.data;
+  const out = new ImageData(w, h);
+  const d = out.data;
+  const sr = substrate.r, sg = substrate.g, sb = substrate.b;
+  for (let i = 0; i < src.length; i += 4) {
+    const a = src[i+3] / 255;
+    d[i]   = Math.round(src[i]   * a + sr * (1 - a));
+    d[i+1] = Math.round(src[i+1] * a + sg * (1 - a));
+    d[i+2] = Math.round(src[i+2] * a + sb * (1 - a));
+    d[i+3] = 255;
+  }
   return out;
 }
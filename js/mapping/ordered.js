@@ -0,0 +1,115 @@
+// mapping/ordered.js
+// Threshold maps for ordered dithering: Bayer 2/4/8 and a void-and-cluster
+// blue-noise map (Ulichney 1993). Maps are square, tile seamlessly and are
+// generated deterministically, so the same pixel coordinate always gets the
+// same threshold — in the preview, in tiles and in full-resolution exports.
+//
+// Map: { size, data: Float32Array(size*size) } with thresholds in (0, 1).
+
+import { bayerMatrix } from '../color/patterns.js';
+import { mulberry32 } from '../utils/random.js';
+
+export const ORDERED_MAPS = [
+  { id: 'bayer2',    label: 'Bayer 2×2' },
+  { id: 'bayer4',    label: 'Bayer 4×4' },
+  { id: 'bayer8',    label: 'Bayer 8×8' },
+  { id: 'bluenoise', label: 'Blue noise (void-and-cluster)' },
+];
+
+const cache = new Map();
+
+export function isOrderedMap(id) {
+  return ORDERED_MAPS.some(m => m.id === id);
+}
+
+/** Threshold map by ORDERED_MAPS id (built once, then cached) */
+export function thresholdMap(id) {
+  if (!cache.has(id)) {
+    const map = id === 'bluenoise' ? voidAndCluster(64)
+      : bayer(id === 'bayer2' ? 2 : id === 'bayer8' ? 8 : 4);
+    cache.set(id, map);
+  }
+  return cache.get(id);
+}
+
+// Bayer index matrix (patterns.js) as thresholds
+function bayer(size) {
+  const m = bayerMatrix(size);
+  const data = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) for (let x = 0; x < size; x++) data[y * size + x] = (m[y][x] + 0.5) / (size * size);
+  return { size, data };
+}
+
+/**
+ * Void-and-cluster on a torus. Energy at a pixel is the Gaussian-weighted
+ * count of "on" pixels around it; the tightest cluster is the on pixel with
+ * the most energy, the largest void the off pixel with the least. Ranks come
+ * from removing clusters (down from the initial pattern) and filling voids
+ * (up to a full map); with a symmetric kernel, filling the largest void
+ * past half density is the same as Ulichney's phase III.
+ */
+function voidAndCluster(size, sigma = 1.5, seed = 1) {
+  const n = size * size;
+  // toroidal Gaussian by offset
+  const g = new Float64Array(n);
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      const ex = Math.min(dx, size - dx), ey = Math.min(dy, size - dy);
+      g[dy * size + dx] = Math.exp(-(ex * ex + ey * ey) / (2 * sigma * sigma));
+    }
+  }
+  const splat = (energy, p, sign) => {
+    const px = p % size, py = (p / size) | 0;
+    for (let y = 0; y < size; y++) {
+      const row = ((y - py + size) % size) * size;
+      for (let x = 0; x < size; x++) energy[y * size + x] += sign * g[row + (x - px + size) % size];
+    }
+  };
+  const extreme = (energy, bits, want, pickMax) => {
+    let best = -1, bestE = pickMax ? -Infinity : Infinity;
+    for (let i = 0; i < n; i++) {
+      if (bits[i] !== want) continue;
+      if (pickMax ? energy[i] > bestE : energy[i] < bestE) { bestE = energy[i]; best = i; }
+    }
+    return best;
+  };
+
+  // initial pattern: ~10% random points, relaxed until evenly spread
+  const rand = mulberry32(seed);
+  const bits = new Uint8Array(n);
+  const energy = new Float64Array(n);
+  const ones0 = Math.max(1, Math.round(n / 10));
+  for (let placed = 0; placed < ones0; ) {
+    const p = Math.floor(rand() * n);
+    if (bits[p]) continue;
+    bits[p] = 1; splat(energy, p, +1); placed++;
+  }
+  for (let guard = 0; guard < n; guard++) {
+    const cluster = extreme(energy, bits, 1, true);
+    bits[cluster] = 0; splat(energy, cluster, -1);
+    const hole = extreme(energy, bits, 0, false);
+    bits[hole] = 1; splat(energy, hole, +1);
+    if (hole === cluster) break;
+  }
+
+  const rank = new Int32Array(n);
+  // phase 1: peel clusters off a copy of the initial pattern
+  {
+    const b = bits.slice(), e = energy.slice();
+    for (let ones = ones0; ones > 0; ones--) {
+      const c = extreme(e, b, 1, true);
+      b[c] = 0; splat(e, c, -1);
+      rank[c] = ones - 1;
+    }
+  }
+  // phases 2-3: fill the largest voids
+  for (let ones = ones0; ones < n; ones++) {
+    const v = extreme(energy, bits, 0, false);
+    bits[v] = 1; splat(energy, v, +1);
+    rank[v] = ones;
+  }
+
+  const data = new Float32Array(n);
+  for (let i = 0; i < n; i++) data[i] = (rank[i] + 0.5) / n;
+  return { size, data };
+}
@@ -0,0 +1,98 @@
+// mapping/regions.js
+// Per-pixel region lookup for lasso regions (State.regions).
+//
+// Region masks live at the preview canvas size; the image being mapped can
+// be larger (full resolution) or a tile of it, so lookups go through the
+// full-image size and the tile origin. Later regions sit on top of earlier
+// ones, like layers. With feathering the edge becomes a ramp (box blur of
+// the mask) that is resolved per pixel against the blue-noise threshold
+// map: no hard seam, and the same pixel always lands in the same region.
+
+import { thresholdMap } from './ordered.js';
+
+/**
+ * Separable box blur (radius r, edges clamped). On a 0/1 mask this gives
+ * 0..1 coverage, 0.5 on the edge; the halftone preview uses it for ink tones.
+ * @param {ArrayLike<number>} src - w×h values
+ * @param {number} w
+ * @param {number} h
+ * @param {number} r - radius in pixels
+ * @returns {Float32Array}
+ */
+export function boxBlur(src, w, h, r) {
+  const tmp = new Float32Array(w * h), out = new Float32Array(w * h);
+  const span = 2 * r + 1;
+  for (let y = 0; y < h; y++) {
+    let acc = 0;
+    for (let x = -r; x <= r; x++) acc += src[y * w + Math.min(w - 1, Math.max(0, x))];
+    for (let x = 0; x < w; x++) {
+      tmp[y * w + x] = acc / span;
+      acc += src[y * w + Math.min(w - 1, x + r + 1)] - src[y * w + Math.max(0, x - r)];
+    }
+  }
+  for (let x = 0; x < w; x++) {
+    let acc = 0;
+    for (let y = -r; y <= r; y++) acc += tmp[Math.min(h - 1, Math.max(0, y)) * w + x];
+    for (let y = 0; y < h; y++) {
+      out[y * w + x] = acc / span;
+      acc += tmp[Math.min(h - 1, y + r + 1) * w + x] - tmp[Math.max(0, y - r) * w + x];
+    }
+  }
+  return out;
+}
+
+/**
+ * Regions with their feathered masks built (`soft`, for `feather`), so a job
+ * mapped in bands blurs each mask once rather than once per band.
+ * @param {{mask:Uint8Array, w:number, h:number}[]} regions
+ * @param {number} feather - as buildRegionMap
+ * @returns {object[]} regions (unchanged when feather is 0)
+ */
+export function featherRegions(regions, feather = 0) {
+  const fr = Math.max(0, Math.round(feather));
+  return (regions || []).map(r => (fr && r?.mask?.length === r.w * r.h && r.w > 0
+    ? { ...r, soft: boxBlur(r.mask, r.w, r.h, fr), softRadius: fr }
+    : r));
+}
+
+/**
+ * Region index per pixel of a w×h image (or tile), -1 outside every region.
+ * @param {{mask:Uint8Array, w:number, h:number, soft?:Float32Array}[]} regions - bottom to top
+ *   (`soft` from featherRegions() is used when built for the same feather)
+ * @param {number} w
+ * @param {number} h
+ * @param {{feather?:number, origin?:{x:number,y:number}, fullSize?:{w:number,h:number}}} [opts]
+ *   feather: edge ramp half-width in mask pixels (0 = hard edges)
+ *   origin / fullSize: where this tile sits in the full image (default: the whole image)
+ * @returns {Int16Array|null} indices into `regions`; null when none is usable
+ *   (regions whose mask isn't w×h long are skipped)
+ */
+export function buildRegionMap(regions, w, h, { feather = 0, origin = { x: 0, y: 0 }, fullSize = null } = {}) {
+  const list = regions || [];
+  const usable = list.map(r => r?.mask?.length === r.w * r.h && r.w > 0);
+  if (!usable.includes(true)) return null;
+  const W = fullSize?.w || w, H = fullSize?.h || h;
+  const fr = Math.max(0, Math.round(feather));
+  const soft = list.map((r, k) => (!usable[k] ? null
+    : !fr ? r.mask
+    : r.softRadius === fr && r.soft?.length === r.mask.length ? r.soft
+    : boxBlur(r.mask, r.w, r.h, fr)));
+  const bn = fr ? thresholdMap('bluenoise') : null;
+  const ox = origin.x | 0, oy = origin.y | 0;
+
+  const out = new Int16Array(w * h).fill(-1);
+  for (let y = 0; y < h; y++) {
+    const gy = y + oy;
+    for (let x = 0; x < w; x++) {
+      const gx = x + ox;
+      const thr = bn ? bn.data[(gy % bn.size) * bn.size + gx % bn.size] : 0.5;
+      for (let k = list.length - 1; k >= 0; k--) {
+        if (!soft[k]) continue;
+        const r = list[k];
+        const mx = Math.min(r.w - 1, (gx * r.w / W) | 0), my = Math.min(r.h - 1, (gy * r.h / H) | 0);
+        if (soft[k][my * r.w + mx] > thr) { out[y * w + x] = k; break; }
+      }
+    }
+  }
+  return out;
+}
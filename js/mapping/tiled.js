@@ -0,0 +1,126 @@
+// mapping/tiled.js
+// Full-resolution mapping: the image is cut into full-width horizontal bands
+// that are mapped by a pool of module workers (workers/map.worker.js).
+//
+// Error diffusion is carried across band seams exactly: each band starts
+// from the error the band above spilled past its last row, so the result is
+// the same as mapping the whole image in one pass. That makes diffused jobs a
+// chain, run one band at a time (still off the main thread); ordered and
+// undithered jobs map bands on every worker at once. Ordered maps, rule
+// patterns and regions work in full-image coordinates (origin / fullSize),
+// so no seam shows there either. Feathered region masks are built once per
+// job here and sent with every band.
+//
+// Workers outlive a job: finished ones go back to an idle pool (up to
+// poolSize()) with their lookup tables (lut.js), so a re-map with the same
+// inks skips the table build. Cancelling a job terminates its workers.
+
+import { isOrderedMap } from './ordered.js';
+import { featherRegions } from './regions.js';
+
+export const BAND_PIXELS = 1 << 20; // ~1 MP per band
+
+/** Workers to use: leave a core for the page, at most 4 */
+export function poolSize() {
+  const n = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+  return Math.max(1, Math.min(4, n - 1));
+}
+
+const idle = []; // map workers between jobs, most recently used last
+
+function takeWorker() {
+  return idle.pop() || new Worker(new URL('../workers/map.worker.js', import.meta.url), { type: 'module' });
+}
+
+function releaseWorker(worker) {
+  worker.onmessage = worker.onerror = null;
+  if (idle.length < poolSize()) idle.push(worker);
+  else worker.terminate();
+}
+
+/**
+ * Map a large image band by band on worker threads.
+ * @param {{width:number, height:number, readBand:(y:number, h:number)=>ImageData}} source
+ *   readBand returns rows y..y+h-1 at full width (its buffer is transferred)
+ * @param {{r:number,g:number,b:number,tol?:number}[]} palette
+ * @param {object} opts - mapToPalette options (`stats` is ignored; unmatched is returned)
+ * @param {{onProgress?:(p:{done:number,total:number})=>void, signal?:AbortSignal, workers?:number, bandPixels?:number}} [run]
+ * @returns {Promise<{imgData:ImageData, unmatched:number, dithered:Uint8Array|null}>}
+ *   (dithered with opts.maskDither); rejects with an AbortError when cancelled
+ */
+export function mapTiled(source, palette, opts = {}, { onProgress, signal, workers, bandPixels = BAND_PIXELS } = {}) {
+  return new Promise((resolve, reject) => {
+    const abortErr = () => new DOMException('Mapping cancelled', 'AbortError');
+    if (signal?.aborted) { reject(abortErr()); return; }
+
+    const W = source.width, H = source.height;
+    const bandH = Math.max(16, Math.floor(bandPixels / Math.max(1, W)));
+    const bands = [];
+    for (let y = 0; y < H; y += bandH) bands.push({ y, h: Math.min(bandH, H - y) });
+    const { stats, ...base } = opts;
+    if (base.regions && base.feather) base.regions = featherRegions(base.regions, base.feather);
+    const chained = !!base.dither && !isOrderedMap(base.dither);
+    const count = chained ? 1 : Math.max(1, Math.min(workers || poolSize(), bands.length));
+
+    const pool = [];
+    const out = new ImageData(W, H);
+    const dithered = base.maskDither ? new Uint8Array(W * H) : null;
+    let next = 0, done = 0, unmatched = 0, carry = null, settled = false;
+
+    const onAbort = () => fail(abortErr());
+    // a finished job's workers are idle and go back to the pool; a failed or
+    // cancelled one may still be mapping a band, so they are stopped
+    const finish = (ok) => {
+      settled = true;
+      pool.forEach(w => (ok ? releaseWorker(w) : w.terminate()));
+      signal?.removeEventListener('abort', onAbort);
+    };
+    function fail(err) {
+      if (settled) return;
+      finish(false);
+      reject(err);
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    // Hand the next band to `worker`; chained bands go out only once the
+    // band above is back, so `carry` is its spilled error
+    const feed = (worker) => {
+      if (next >= bands.length) return;
+      const id = next++;
+      const { y, h } = bands[id];
+      const imgData = source.readBand(y, h);
+      worker.postMessage({
+        id, imgData, palette,
+        opts: { ...base, origin: { x: 0, y }, fullSize: { w: W, h: H }, errorIn: carry },
+      }, [imgData.data.buffer]);
+    };
+
+    try {
+      for (let i = 0; i < count; i++) {
+        const worker = takeWorker();
+        pool.push(worker);
+        worker.onmessage = (e) => {
+          const m = e.data || {};
+          if (settled) return;
+          if (m.type === 'error') { fail(new Error(m.message)); return; }
+          out.data.set(m.imgData.data, bands[m.id].y * W * 4);
+          if (dithered && m.dithered) dithered.set(m.dithered, bands[m.id].y * W);
+          unmatched += m.unmatched || 0;
+          carry = m.errorOut || null;
+          done++;
+          if (typeof onProgress === 'function') onProgress({ done, total: bands.length });
+          if (done === bands.length) {
+            finish(true);
+            resolve({ imgData: out, unmatched, dithered });
+            return;
+          }
+          try { feed(worker); } catch (err) { fail(err); }
+        };
+        worker.onerror = (err) => fail(err);
+      }
+      pool.forEach(feed);
+    } catch (err) {
+      fail(err);
+    }
+  });
+}
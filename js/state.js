@@ -24,7 +24,7 @@ export const State = {
   // replacements: targetIndex -> [{inkIndex, density[0..1], pattern:'checker'|'bayer2'|'bayer4'|'stripes'|'stipple', params:{}}...]
   replacements: new Map(),
 
-  // regions (lasso): array of {type:'polygon', points:[[x,y],...], mask:Uint8Array, allowed:Set(inkIndex)}
+  // regions (lasso): array of {type:'polygon', points:[[x,y],...], mask:Uint8Array, allowed:Set(inkHex)}
   regions: [],
 
   // options
@@ -33,6 +33,8 @@ export const State = {
     wChroma: 1.0,
     useDither: false,
     bgMode: 'keep', // keep|white|transparent
+    substrate: null,  // '#RRGGBB' garment/stock color, null = assume white paper
+    knockout: false,  // leave substrate-matching areas unprinted
     sharpenEdges: false,
     keepFullRes: true,
     maxPreviewW: 1400,
@@ -40,12 +42,16 @@ export const State = {
 
   // report/codes
   codeMode: 'pms', // 'pms'|'hex'
+  // ink coverage + volumes of the last mapping: { job, unprinted, inks:[{hex, coverage, perPrint, perRun}] } or null
+  inkUsage: null,
 
   // UI cache
   els: {},
 
-  // PMS library
-  PMS: [], PMSCache: new Map(),
+  // Ink libraries (color/libraries.js): id -> { id, name, source, inks:[{name,hex,lab}], cache }
+  // Each library has its own nearest-match cache.
+  inkLibraries: new Map(),
+  activeLibrary: 'pms-coated',
 };
 
 export function setEls(hash){ State.els = hash; }
@@ -1,5 +1,8 @@
 // js/ui/color-dot.js
 // Lightweight, dependency-free editable color swatch with popover
+// (OKLCH math is shared with the rest of the app via color/space.js)
+
+import { rgbToOklch, oklchToRgb } from '../color/space.js';
 
 // Tiny color utils
 const clamp = (v, lo, hi) => Math.min(hi, Math.max(lo, v));
@@ -107,6 +110,18 @@ export function createColorDot(opts={}){
       <label class="cd-l">L</label><input class="cd-lt" type="range" min="0" max="100">
       <span class="cd-val cd-ltv"></span>
     </div>
+    <div class="cd-row">
+      <label class="cd-l">OK L</label><input class="cd-okl" type="range" min="0" max="100" step="0.5">
+      <span class="cd-val cd-oklv"></span>
+    </div>
+    <div class="cd-row">
+      <label class="cd-l">OK C</label><input class="cd-okc" type="range" min="0" max="0.37" step="0.002">
+      <span class="cd-val cd-okcv"></span>
+    </div>
+    <div class="cd-row">
+      <label class="cd-l">OK h</label><input class="cd-okh" type="range" min="0" max="360">
+      <span class="cd-val cd-okhv"></span>
+    </div>
     <div class="cd-actions">
       <button class="cd-close" type="button">Close</button>
     </div>
@@ -121,6 +136,8 @@ export function createColorDot(opts={}){
   const vR = q('.cd-rv'), vG = q('.cd-gv'), vB = q('.cd-bv');
   const iH = q('.cd-h'), iS = q('.cd-s'), iL = q('.cd-lt');
   const vH = q('.cd-hv'), vS = q('.cd-sv'), vL = q('.cd-ltv');
+  const iOkL = q('.cd-okl'), iOkC = q('.cd-okc'), iOkH = q('.cd-okh');
+  const vOkL = q('.cd-oklv'), vOkC = q('.cd-okcv'), vOkH = q('.cd-okhv');
 
   function refreshUI(from='rgb'){
     const hex = rgbToHex(current.r,current.g,current.b);
@@ -137,6 +154,13 @@ export function createColorDot(opts={}){
       iR.value = current.r; iG.value = current.g; iB.value = current.b;
       vR.textContent = current.r; vG.textContent = current.g; vB.textContent = current.b;
     }
+    if (from !== 'oklch') {
+      const lch = rgbToOklch(current.r,current.g,current.b);
+      iOkL.value = (lch.l*100).toFixed(1); iOkC.value = lch.c.toFixed(3); iOkH.value = Math.round(lch.h);
+    }
+    vOkL.textContent = (+iOkL.value).toFixed(1) + '%';
+    vOkC.textContent = (+iOkC.value).toFixed(3);
+    vOkH.textContent = Math.round(+iOkH.value);
   }
 
   function emitChange(){
@@ -161,6 +185,13 @@ export function createColorDot(opts={}){
       refreshUI('hsl'); emitChange();
     });
   });
+  // OKLCH: chroma is reduced to fit sRGB, so L/h edits stay hue-stable
+  [iOkL,iOkC,iOkH].forEach((el)=>{
+    el.addEventListener('input', ()=>{
+      current = oklchToRgb(+iOkL.value/100, +iOkC.value, +iOkH.value);
+      refreshUI('oklch'); emitChange();
+    });
+  });
   iHex.addEventListener('change', ()=>{
     const rgb = hexToRgb(iHex.value);
     if (rgb){ current = rgb; refreshUI(); emitChange(); }
@@ -5,6 +5,9 @@
 // Events emitted on els.restrictedList:
 //  - 'restricted:coloredit'  { index, hex }      when a dot is edited
 //  - 'restricted:toggle'     { index, checked }  when a checkbox is toggled
+//  - 'restricted:lock'       { index, locked }   when a lock is toggled
+//  - 'restricted:tol'        { index, tol }      when a tolerance is edited
+//  - 'restricted:harmony'    { index, hex }      when "harmonies" is clicked
 
 import { createColorDot } from './color-dot.js';
 
@@ -26,8 +29,10 @@ const normHex = (hx) => {
  * @param {Object} els - Expected: { restrictedList: HTMLElement }
  * @param {string[]} hexes - Array of HEX strings (e.g., "#FFAA00")
  * @param {Set<number>} selectedIdxSet - which indices are currently "enabled"
+ * @param {Set<number>} [lockedIdxSet] - which indices are locked (kept by auto-extract)
+ * @param {number[]} [tolerances] - per-ink match tolerance (ΔE), by index
  */
-export function renderRestrictedFromPalette(els, hexes, selectedIdxSet = new Set()) {
+export function renderRestrictedFromPalette(els, hexes, selectedIdxSet = new Set(), lockedIdxSet = new Set(), tolerances = []) {
   if (!els?.restrictedList) return;
   const host = els.restrictedList;
   host.innerHTML = '';
@@ -73,6 +78,56 @@ export function renderRestrictedFromPalette(els, hexes, selectedIdxSet = new Set
     hexLabel.className = 'mono';
     hexLabel.textContent = hex;
 
+    // Lock toggle: locked inks survive auto-extract unchanged
+    const locked = lockedIdxSet.has(i);
+    const lock = document.createElement('button');
+    lock.type = 'button';
+    lock.className = 'rp-lock';
+    lock.textContent = locked ? '🔒' : '🔓';
+    lock.title = locked ? 'Locked: kept by auto-extract (counts toward K)' : 'Lock to keep this ink on auto-extract';
+    lock.setAttribute('aria-pressed', String(locked));
+    lock.setAttribute('aria-label', `Lock color ${hex}`);
+    lock.addEventListener('click', (e) => {
+      e.preventDefault(); // don't let the row <label> toggle the checkbox
+      host.dispatchEvent(new CustomEvent('restricted:lock', {
+        detail: { index: i, locked: !locked },
+        bubbles: true
+      }));
+    });
+    if (locked) row.classList.add('is-locked');
+
+    // Match tolerance (ΔE): farther pixels are "unmatched" for this ink
+    const tol = document.createElement('input');
+    tol.type = 'number';
+    tol.className = 'rp-tol';
+    tol.min = '0'; tol.max = '200'; tol.step = '1';
+    tol.value = String(tolerances[i] ?? '');
+    tol.title = 'Tolerance (ΔE in the chosen metric, new inks start at 12): pixels farther than this from every ink follow Unmatched';
+    tol.setAttribute('aria-label', `Tolerance for ${hex}`);
+    tol.addEventListener('change', () => {
+      const v = Number(tol.value);
+      if (!Number.isFinite(v) || v < 0) return;
+      host.dispatchEvent(new CustomEvent('restricted:tol', {
+        detail: { index: i, tol: v },
+        bubbles: true
+      }));
+    });
+
+    // Open the harmony generator with this ink as the base
+    const harm = document.createElement('button');
+    harm.type = 'button';
+    harm.className = 'rp-harmony';
+    harm.textContent = '✦';
+    harm.title = 'Harmonies from this ink: complementary, split, triadic, analogous or tint / shade';
+    harm.setAttribute('aria-label', `Harmonies from ${hex}`);
+    harm.addEventListener('click', (e) => {
+      e.preventDefault();
+      host.dispatchEvent(new CustomEvent('restricted:harmony', {
+        detail: { index: i, hex: hexLabel.textContent },
+        bubbles: true
+      }));
+    });
+
     // Wire checkbox toggle -> event
     box.addEventListener('change', () => {
       host.dispatchEvent(new CustomEvent('restricted:toggle', {
@@ -85,6 +140,9 @@ export function renderRestrictedFromPalette(els, hexes, selectedIdxSet = new Set
     row.appendChild(dot);
     row.appendChild(chip);
     row.appendChild(hexLabel);
+    row.appendChild(tol);
+    row.appendChild(harm);
+    row.appendChild(lock);
     host.appendChild(row);
   });
 }
@@ -13,3 +13,13 @@ export function toast(msg, ms=2200){
   host.appendChild(t);
   setTimeout(()=>{ t.style.opacity="0"; t.style.transition="opacity .25s"; setTimeout(()=>host.removeChild(t),250); }, ms);
 }
+
+// Show a tip once per browser (remembered in localStorage under `key`)
+export function helpOnce(key, msg, ms=4000){
+  const k = `pm_help_${key}`;
+  try {
+    if (localStorage.getItem(k)) return;
+    localStorage.setItem(k, '1');
+  } catch { /* private mode: show every time */ }
+  toast(msg, ms);
+}
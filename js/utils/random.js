@@ -0,0 +1,13 @@
+// js/utils/random.js
+// Seeded PRNG for results that must repeat run to run (palette extraction,
+// blue-noise threshold maps).
+
+/** mulberry32: 32-bit state -> () => [0, 1) */
+export function mulberry32(a) {
+  return () => {
+    a |= 0; a = (a + 0x6D2B79F5) | 0;
+    let t = Math.imul(a ^ (a >>> 15), 1 | a);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
@@ -1,28 +1,37 @@
 // workers/kmeans.worker.js
+// Runs color/kmeans.js off the main thread (module worker).
+//
+// in:  { pts:Float32Array, k=6, iters=30, tol=0.5, seed=1, fixed=[], sweep? }
+//      tol: stop once no center moves more than this (in point units)
+//      fixed: [[x,y,z]...] locked centers; they count toward k, come first
+//             in `centers` and never move
+//      sweep: { kMin, kMax, method:'silhouette'|'elbow' } — pick K first (on a
+//             subsample), then cluster all points with it
+// out: { type:'progress', phase:'sweep', k, kMax }          while sweeping
+//      { type:'progress', iter, iters, shift }              after every iteration
+//      { type:'done', centers:[[x,y,z]...], counts:[...], iter, converged, k, scores? }
+// Cancel by terminating the worker.
+
+import { kmeans, sweepK } from '../color/kmeans.js';
+
 self.onmessage = (e) => {
-  const { data, k=6, iters=10 } = e.data;
-  const n=data.length/4;
-  const centers=[]; for(let c=0;c<k;c++){ const idx=Math.floor((c+0.5)*n/k); centers.push([data[idx*4],data[idx*4+1],data[idx*4+2]]); }
-  const counts=new Array(k).fill(0); const sums=new Array(k).fill(0).map(()=>[0,0,0]);
-  for(let it=0; it<iters; it++){
-    counts.fill(0); for(const s of sums){ s[0]=s[1]=s[2]=0; }
-    for(let i=0;i<n;i++){
-      const a=data[i*4+3]; if(a<8) continue;
-      const r=data[i*4], g=data[i*4+1], b=data[i*4+2];
-      let best=0, bestD=Infinity;
-      for(let c=0;c<k;c++){
-        const dr=r-centers[c][0], dg=g-centers[c][1], db=b-centers[c][2];
-        const d=dr*dr+dg*dg+db*db; if(d<bestD){ bestD=d; best=c; }
-      }
-      counts[best]++; sums[best][0]+=r; sums[best][1]+=g; sums[best][2]+=b;
-    }
-    for(let c=0;c<k;c++){
-      if(counts[c]>0){
-        centers[c][0]=Math.round(sums[c][0]/counts[c]);
-        centers[c][1]=Math.round(sums[c][1]/counts[c]);
-        centers[c][2]=Math.round(sums[c][2]/counts[c]);
-      }
-    }
+  const { pts, k=6, iters=30, tol=0.5, seed=1, fixed=[], sweep=null } = e.data;
+  const n = pts.length / 3;
+  if (!n) {
+    postMessage({ type:'done', centers:fixed, counts:fixed.map(() => 0), iter:0, converged:true, k:fixed.length });
+    return;
   }
-  postMessage({ centers });
+
+  let kk = k, scores;
+  if (sweep) {
+    ({ k: kk, scores } = sweepK(pts, sweep, {
+      tol, seed, fixed, onK: (sk) => postMessage({ type:'progress', phase:'sweep', k: sk, kMax: sweep.kMax }),
+    }));
+  }
+
+  const res = kmeans(pts, kk, { iters, tol, seed, fixed, onIter: (iter, shift) => {
+    postMessage({ type:'progress', iter, iters, shift });
+  } });
+  postMessage({ type:'done', centers:res.centers, counts:res.counts, iter:res.iter,
+                converged:res.converged, k:kk, scores });
 };
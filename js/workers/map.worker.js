@@ -0,0 +1,28 @@
+// workers/map.worker.js
+// Maps one horizontal band of a large image with mapToPalette (module worker).
+//
+// in:  { id, imgData:ImageData, palette:[{r,g,b,tol}], opts }
+//      opts as mapToPalette, with origin / fullSize / errorIn set for the band
+//      (no `stats`: it is filled in here and sent back)
+// out: { type:'done', id, imgData, unmatched, errorOut?, dithered? }
+//      { type:'error', id, message }
+// Stateless between messages, so one worker serves many jobs (tiled.js keeps
+// it, and the lookup tables it built, for the next one). Cancel by terminating.
+
+import { mapToPalette } from '../mapping/mapper.js';
+
+self.onmessage = (e) => {
+  const { id, imgData, palette, opts } = e.data || {};
+  try {
+    const stats = {};
+    const out = mapToPalette(imgData, palette, { ...opts, stats });
+    const transfer = [out.data.buffer, ...(stats.errorOut || []).map(a => a.buffer)];
+    if (stats.dithered) transfer.push(stats.dithered.buffer);
+    self.postMessage({
+      type: 'done', id, imgData: out,
+      unmatched: stats.unmatched, errorOut: stats.errorOut, dithered: stats.dithered,
+    }, transfer);
+  } catch (err) {
+    self.postMessage({ type: 'error', id, message: String(err?.message || err) });
+  }
+};